@@ -1,3 +1,15 @@
+import { initWasm, handleConversionMessage } from './ascii-core.js';
+import {
+    CHAR_SETS, SUB_CELL_GRIDS, SETTINGS_PRESETS,
+    DEFAULT_SETTINGS, TONE_CURVE_MAX_POINTS,
+    hexToRgb, toConvertSettings, createPresetFile, parsePresetFile, uniquePresetName,
+    SETTINGS_SCHEMA, SETTINGS_SCHEMA_VERSION, migrateSettings, validateSettings, toneCurveInterpolator
+} from './settings.js';
+import { buildAnsiText, buildSvg } from './exporters.js';
+import { createWebmMuxer } from './webm-muxer.js';
+import { encodePermalink, decodePermalink } from './permalink.js';
+import { createCanvasRenderer, canvasPixelSize } from './canvas-renderer.js';
+
 // Adaptive debounce - adjusts delay based on last conversion time
 let lastConversionTime = 50; // Start with reasonable default
 const MIN_DEBOUNCE = 20;     // Minimum debounce delay
@@ -12,189 +24,10 @@ function adaptiveDebounce(fn) {
     };
 }
 
-// Character sets
-const CHAR_SETS = {
-    standard: '@%#+=*-:. ',
-    detailed: '$@B%8&WM#oahkbdpqwmZO0QLCJUYXzcvunxrjft/\\|()1{}[]?-_+~*<>i!lI;:,"^`\'. ',
-    blocks: '█▓▒░ ',
-    simple: '#. ',
-    single: '█'
-};
-
-// Edge detection characters by direction
-const EDGE_CHARS = {
-    horizontal: '-',
-    vertical: '|',
-    diag1: '/',
-    diag2: '\\',
-    corner: '+',
-    none: ' '
-};
-
 // Auto-fit font size bounds
 const AUTO_FIT_FONT_MIN = 4;
 const AUTO_FIT_FONT_MAX = 48;
 
-// Default settings preset
-const DEFAULT_SETTINGS = {
-    // Display
-    outputBackground: 'dark',
-    charsPerRow: 100,
-    fontSize: 10,
-    autoFitFontSize: false,
-    autoRatio: true,
-    charRatio: 0.5,
-    // Character Set
-    charSetPreset: 'standard',
-    customChars: '@%#+=*-:. ',
-    // Output
-    colorMode: 'truecolor',
-    invertBrightness: true,
-    histogramEq: true,
-    contrast: 100,
-    brightnessBlend: 50,
-    saturation: 100,
-    opacity: 100,
-    brightnessAsOpacity: false,
-    monoFg: '#f0f0f0',
-    monoBg: '#0d0d0d'
-};
-
-// Built-in settings presets
-const SETTINGS_PRESETS = {
-    'default': {
-        name: 'Default',
-        settings: { ...DEFAULT_SETTINGS, autoFitFontSize: true }
-    },
-    'high-detail': {
-        name: 'High Detail',
-        settings: {
-            ...DEFAULT_SETTINGS,
-            autoFitFontSize: true,
-            charsPerRow: 150,
-            charSetPreset: 'detailed',
-            customChars: '$@B%8&WM#oahkbdpqwmZO0QLCJUYXzcvunxrjft/\\|()1{}[]?-_+~*<>i!lI;:,"^`\'. ',
-            colorMode: 'truecolor'
-        }
-    },
-    'retro-terminal': {
-        name: 'Retro Terminal',
-        settings: {
-            ...DEFAULT_SETTINGS,
-            autoFitFontSize: true,
-            charSetPreset: 'simple',
-            customChars: '#. ',
-            colorMode: 'monochrome',
-            monoFg: '#33ff33',
-            monoBg: '#0a0a0a',
-            invertBrightness: true
-        }
-    },
-    'classic-ascii': {
-        name: 'Classic ASCII',
-        settings: {
-            ...DEFAULT_SETTINGS,
-            autoFitFontSize: true,
-            colorMode: 'monochrome',
-            monoFg: '#ffffff',
-            monoBg: '#000000'
-        }
-    },
-    'print-friendly': {
-        name: 'Print Friendly',
-        settings: {
-            ...DEFAULT_SETTINGS,
-            autoFitFontSize: true,
-            outputBackground: 'light',
-            colorMode: 'monochrome',
-            invertBrightness: false,
-            monoFg: '#000000',
-            monoBg: '#ffffff'
-        }
-    },
-    'colorful': {
-        name: 'Colorful',
-        settings: {
-            ...DEFAULT_SETTINGS,
-            autoFitFontSize: true,
-            colorMode: 'truecolor',
-            saturation: 150,
-            contrast: 120
-        }
-    },
-    'limited-palette': {
-        name: 'Limited Palette (16)',
-        settings: {
-            ...DEFAULT_SETTINGS,
-            autoFitFontSize: true,
-            colorMode: 'adaptive16',
-            contrast: 110
-        }
-    },
-    'grayscale': {
-        name: 'Grayscale',
-        settings: {
-            ...DEFAULT_SETTINGS,
-            autoFitFontSize: true,
-            colorMode: 'adaptive16',
-            saturation: 0
-        }
-    },
-    'blocks': {
-        name: 'Blocks',
-        settings: {
-            ...DEFAULT_SETTINGS,
-            autoFitFontSize: true,
-            charSetPreset: 'blocks',
-            customChars: '█▓▒░ ',
-            colorMode: 'truecolor'
-        }
-    },
-    'blocks-grayscale': {
-        name: 'Blocks Grayscale',
-        settings: {
-            ...DEFAULT_SETTINGS,
-            autoFitFontSize: true,
-            charSetPreset: 'blocks',
-            customChars: '█▓▒░ ',
-            colorMode: 'adaptive16',
-            saturation: 0
-        }
-    },
-    'opacity-color': {
-        name: 'Opacity (Color)',
-        settings: {
-            ...DEFAULT_SETTINGS,
-            autoFitFontSize: true,
-            charSetPreset: 'single',
-            customChars: '█',
-            colorMode: 'truecolor',
-            brightnessAsOpacity: true
-        }
-    },
-    'opacity-grayscale': {
-        name: 'Opacity (Grayscale)',
-        settings: {
-            ...DEFAULT_SETTINGS,
-            autoFitFontSize: true,
-            charSetPreset: 'single',
-            customChars: '█',
-            colorMode: 'adaptive16',
-            saturation: 0,
-            brightnessAsOpacity: true
-        }
-    },
-    'transparent-overlay': {
-        name: 'Transparent Overlay',
-        settings: {
-            ...DEFAULT_SETTINGS,
-            autoFitFontSize: true,
-            opacity: 60,
-            colorMode: 'truecolor'
-        }
-    }
-};
-
 // Measure visual brightness of a character (0 = black/dense, 1 = white/empty)
 function measureCharBrightness(char, fontFamilyValue) {
     const size = 24;
@@ -225,10 +58,79 @@ function measureCharBrightness(char, fontFamilyValue) {
     return total / (size * size * 255);
 }
 
+// Glyph bitmaps for shape matching, keyed by font, cell ratio and characters.
+// Least recently used entries are dropped beyond GLYPH_BITMAP_CACHE_MAX.
+const glyphBitmapCache = new Map();
+const GLYPH_BITMAP_CACHE_MAX = 8;
+
+// Rasterize each unique character into ink coverage (0 = empty, 1 = solid) on
+// the shape sub-grid, drawn into a cell with the output's width/height ratio
+function getGlyphBitmaps(chars, fontFamilyValue, ratio) {
+    const key = `${fontFamilyValue}|${ratio.toFixed(2)}|${chars}`;
+    const cached = glyphBitmapCache.get(key);
+    if (cached) {
+        // Re-insert so Map order runs from least to most recently used
+        glyphBitmapCache.delete(key);
+        glyphBitmapCache.set(key, cached);
+        return cached;
+    }
+
+    const [gridX, gridY] = SUB_CELL_GRIDS.shape;
+    const features = gridX * gridY;
+    const glyphs = [...new Set(chars)];
+    const size = 48;
+    const cellWidth = Math.max(gridX, Math.round(size * ratio));
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    canvas.width = cellWidth;
+    canvas.height = size;
+    ctx.font = `${size}px ${fontFamilyValue}`;
+    ctx.textBaseline = 'top';
+
+    const bitmaps = new Float32Array(glyphs.length * features);
+    let maxInk = 0;
+    glyphs.forEach((char, g) => {
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, cellWidth, size);
+        ctx.fillStyle = 'black';
+        ctx.fillText(char, 0, 0);
+        const pixels = ctx.getImageData(0, 0, cellWidth, size).data;
+
+        // Average ink per sub-cell (red channel of grayscale drawing)
+        const sums = new Float32Array(features);
+        const counts = new Uint32Array(features);
+        for (let y = 0; y < size; y++) {
+            const gy = Math.floor(y * gridY / size);
+            for (let x = 0; x < cellWidth; x++) {
+                const k = gy * gridX + Math.floor(x * gridX / cellWidth);
+                sums[k] += 1 - pixels[(y * cellWidth + x) * 4] / 255;
+                counts[k]++;
+            }
+        }
+        for (let k = 0; k < features; k++) {
+            const ink = sums[k] / counts[k];
+            bitmaps[g * features + k] = ink;
+            if (ink > maxInk) maxInk = ink;
+        }
+    });
+
+    // Stretch so the densest sub-cell reaches full ink, matching solid image areas
+    if (maxInk > 0) {
+        for (let i = 0; i < bitmaps.length; i++) bitmaps[i] /= maxInk;
+    }
+
+    const entry = { key, chars: glyphs.join(''), grid: [gridX, gridY], bitmaps };
+    if (glyphBitmapCache.size >= GLYPH_BITMAP_CACHE_MAX) {
+        glyphBitmapCache.delete(glyphBitmapCache.keys().next().value);
+    }
+    glyphBitmapCache.set(key, entry);
+    return entry;
+}
+
 // Sort characters by brightness and optionally reduce to N chars
 function sortAndOptimizeChars(chars, reduceCount, fontFamilyValue) {
     // Remove duplicates while preserving order
-    const uniqueChars = [...new Set(chars.split(''))];
+    const uniqueChars = [...new Set(chars)];
 
     // Check if space is included
     const hasSpace = uniqueChars.includes(' ');
@@ -266,147 +168,130 @@ function sortAndOptimizeChars(chars, reduceCount, fontFamilyValue) {
     return resultStr;
 }
 
-// ANSI 256 color palette (standard xterm colors)
-const ANSI_256 = (function() {
-    const colors = [];
-    // Standard colors (0-15)
-    const standard = [
-        [0,0,0], [128,0,0], [0,128,0], [128,128,0],
-        [0,0,128], [128,0,128], [0,128,128], [192,192,192],
-        [128,128,128], [255,0,0], [0,255,0], [255,255,0],
-        [0,0,255], [255,0,255], [0,255,255], [255,255,255]
-    ];
-    colors.push(...standard);
-    // 216 color cube (16-231)
-    for (let r = 0; r < 6; r++) {
-        for (let g = 0; g < 6; g++) {
-            for (let b = 0; b < 6; b++) {
-                colors.push([r ? r * 40 + 55 : 0, g ? g * 40 + 55 : 0, b ? b * 40 + 55 : 0]);
-            }
-        }
-    }
-    // Grayscale (232-255)
-    for (let i = 0; i < 24; i++) {
-        const v = i * 10 + 8;
-        colors.push([v, v, v]);
-    }
-    return colors;
-})();
 
-// Median cut color quantization
-function quantizeColors(pixels, numColors, saturation = 1) {
-    // Collect unique colors (sample for performance)
-    const colorMap = new Map();
-    const step = Math.max(1, Math.floor(pixels.length / 4 / 10000)); // Sample max ~10k pixels
-    for (let i = 0; i < pixels.length; i += 4 * step) {
-        let r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+// State
+let currentImage = null;
+let cachedCharRatio = null;
+let lastColoredHtml = '';
 
-        // Apply saturation before quantization (for grayscale palettes)
-        if (saturation < 1) {
-            const gray = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
-            r = Math.round(gray + saturation * (r - gray));
-            g = Math.round(gray + saturation * (g - gray));
-            b = Math.round(gray + saturation * (b - gray));
-        }
+// Web Worker for off-thread processing
+let asciiWorker = null;
+let workerBusy = false;
+let pendingConversion = false;
+let workerGlyphKey = null;
 
-        const key = (r << 16) | (g << 8) | b;
-        colorMap.set(key, (colorMap.get(key) || 0) + 1);
-    }
+// Worker crashes are restarted; too many in a short window switch to the main thread
+const WORKER_MAX_RESTARTS = 3;
+const WORKER_RESTART_WINDOW = 30000;
+let workerCrashTimes = [];
 
-    // Convert to array of [r, g, b, count]
-    let colorList = [];
-    for (const [key, count] of colorMap) {
-        colorList.push([
-            (key >> 16) & 0xff,
-            (key >> 8) & 0xff,
-            key & 0xff,
-            count
-        ]);
+// Initialize worker
+function startWorker() {
+    try {
+        const worker = new Worker('ascii-worker.js', { type: 'module' });
+        let responded = false;
+        worker.onmessage = (e) => {
+            responded = true;
+            handleWorkerMessage(e);
+        };
+        worker.onerror = (e) => handleWorkerCrash(worker, e, responded);
+        asciiWorker = worker;
+        attachWorkerCanvas(worker);
+    } catch (e) {
+        console.warn('Workers not supported, using main thread:', e);
+        useMainThreadConverter();
     }
+}
 
-    if (colorList.length <= numColors) {
-        return colorList.map(c => [c[0], c[1], c[2]]);
-    }
+// Video and webcam frames are painted by the worker into a canvas transferred with
+// transferControlToOffscreen. A canvas can only be transferred once, so each worker
+// gets its own, placed next to #ascii-canvas (which stays the main-thread fallback)
+let workerCanvas = null;
 
-    // Median cut algorithm
-    function getRange(colors, channel) {
-        let min = 255, max = 0;
-        for (const c of colors) {
-            if (c[channel] < min) min = c[channel];
-            if (c[channel] > max) max = c[channel];
-        }
-        return max - min;
+function attachWorkerCanvas(worker) {
+    if (workerCanvas) {
+        workerCanvas.remove();
+        workerCanvas = null;
     }
+    if (!worker || !('transferControlToOffscreen' in HTMLCanvasElement.prototype)) return;
 
-    function medianCut(colors, depth) {
-        if (depth === 0 || colors.length <= 1) {
-            // Average the colors in this bucket
-            let tr = 0, tg = 0, tb = 0, tw = 0;
-            for (const c of colors) {
-                tr += c[0] * c[3];
-                tg += c[1] * c[3];
-                tb += c[2] * c[3];
-                tw += c[3];
-            }
-            if (tw === 0) return [];
-            return [[Math.round(tr / tw), Math.round(tg / tw), Math.round(tb / tw)]];
-        }
+    const canvas = document.createElement('canvas');
+    canvas.style.display = 'none';
+    document.getElementById('ascii-canvas').after(canvas);
+    const offscreen = canvas.transferControlToOffscreen();
+    worker.postMessage({ type: 'attachCanvas', canvas: offscreen }, [offscreen]);
+    workerCanvas = canvas;
+}
+
+// GIF recording, MediaRecorder capture and the offline export read pixels from
+// #ascii-canvas, so frames are painted on the main thread while they run
+function useWorkerCanvas() {
+    return workerCanvas !== null && !isRecordingGif && !isRecordingVideo && !isExporting;
+}
 
-        // Find channel with largest range
-        const ranges = [getRange(colors, 0), getRange(colors, 1), getRange(colors, 2)];
-        const channel = ranges.indexOf(Math.max(...ranges));
+function isWorkerCanvasShown() {
+    return workerCanvas !== null && workerCanvas.style.display !== 'none';
+}
 
-        // Sort by that channel
-        colors.sort((a, b) => a[channel] - b[channel]);
+function handleWorkerCrash(worker, error, responded) {
+    console.warn('Worker error:', error);
+    worker.terminate();
+    if (asciiWorker !== worker) return;
 
-        // Split at median
-        const mid = Math.floor(colors.length / 2);
-        return [
-            ...medianCut(colors.slice(0, mid), depth - 1),
-            ...medianCut(colors.slice(mid), depth - 1)
-        ];
+    asciiWorker = null;
+    workerBusy = false;
+    workerGlyphKey = null;
+    if (exportFrameReject) {
+        exportFrameReject(new Error('Worker failed'));
     }
 
-    const depth = Math.ceil(Math.log2(numColors));
-    return medianCut(colorList, depth).slice(0, numColors);
-}
+    const now = performance.now();
+    workerCrashTimes = workerCrashTimes.filter(t => now - t < WORKER_RESTART_WINDOW);
+    workerCrashTimes.push(now);
 
-// Find nearest color in palette
-function nearestColor(r, g, b, palette) {
-    let minDist = Infinity;
-    let nearest = palette[0];
-    for (const c of palette) {
-        const dr = r - c[0], dg = g - c[1], db = b - c[2];
-        const dist = dr * dr + dg * dg + db * db;
-        if (dist < minDist) {
-            minDist = dist;
-            nearest = c;
-        }
+    // A worker that never answered can't be loaded at all (no module worker support)
+    if (!responded || workerCrashTimes.length > WORKER_MAX_RESTARTS) {
+        useMainThreadConverter();
+        return;
     }
-    return nearest;
-}
-
-// State
-let currentImage = null;
-let cachedCharRatio = null;
-let cachedPalette = null;
-let lastColoredHtml = '';
 
-// Web Worker for off-thread processing
-let asciiWorker = null;
-let workerBusy = false;
-let pendingConversion = false;
+    console.warn('Restarting worker');
+    startWorker();
+    if (currentImage) convertToAscii();
+}
 
-// Initialize worker
-try {
-    asciiWorker = new Worker('ascii-worker.js');
-    asciiWorker.onmessage = handleWorkerMessage;
-    asciiWorker.onerror = (e) => {
-        console.warn('Worker error, falling back to main thread:', e);
-        asciiWorker = null;
+// Main-thread fallback: the worker's conversion core runs on the main thread with
+// the same message protocol, so the output is identical to the worker's
+function useMainThreadConverter() {
+    initWasm();
+    asciiWorker = {
+        postMessage(data) {
+            // Stay asynchronous like a worker so message ordering and busy flags behave the same
+            setTimeout(() => {
+                try {
+                    handleConversionMessage(data, message => handleWorkerMessage({ data: message }));
+                } catch (e) {
+                    handleMainThreadError(e);
+                }
+            }, 0);
+        },
+        terminate() {}
     };
-} catch (e) {
-    console.warn('Workers not supported, using main thread');
+    workerBusy = false;
+    workerGlyphKey = null;
+    attachWorkerCanvas(null);
+    mainThreadNotice.style.display = '';
+    if (currentImage) convertToAscii();
+}
+
+// A failed conversion never answers, so clear the busy flag and fail a pending
+// export frame the way a worker crash does; the next conversion starts fresh
+function handleMainThreadError(error) {
+    console.error('Conversion failed:', error);
+    workerBusy = false;
+    if (exportFrameReject) {
+        exportFrameReject(new Error('Conversion failed'));
+    }
 }
 
 // Video state
@@ -414,7 +299,6 @@ let currentVideo = null;
 let isVideoMode = false;
 let isVideoPlaying = false;
 let videoAnimationId = null;
-let lastFrameTime = 0;
 let frameCount = 0;
 let fpsUpdateTime = 0;
 let currentFps = 0;
@@ -424,10 +308,6 @@ let webcamStream = null;
 let isWebcamActive = false;
 let webcamAnimationId = null;
 
-// Reusable video frame extraction objects
-let videoFrameCanvas = null;
-let videoFrameCtx = null;
-
 // Reusable canvas for image scaling (optimization #3)
 let scalingCanvas = null;
 let scalingCtx = null;
@@ -436,8 +316,18 @@ let scalingCtx = null;
 let isRecordingGif = false;
 let gifFrames = [];
 let gifStartTime = 0;
-const GIF_MAX_DURATION = 10000; // 10 seconds max
-const GIF_FRAME_INTERVAL = 100; // 10 FPS for GIF
+
+// GIF export settings (from modal, persisted in localStorage)
+const DEFAULT_GIF_SETTINGS = {
+    framerate: 10,
+    duration: 10,        // seconds, realtime recording limit
+    scale: 1,
+    maxWidth: 0,         // 0 = no limit
+    repeat: 0,           // gif.js: 0 = loop forever, -1 = play once, n = n extra plays
+    dither: false,
+    globalPalette: false
+};
+let gifSettings = { ...DEFAULT_GIF_SETTINGS };
 
 // Video recording state (MediaRecorder)
 let isRecordingVideo = false;
@@ -454,6 +344,13 @@ let videoSettings = {
     duration: 30
 };
 
+// Offline (frame-accurate) video export state
+let isExporting = false;
+let exportCancelled = false;
+let activeExporter = null;
+let exportFrameResolve = null;
+let exportFrameReject = null;
+
 // UI state - track when popups close to prevent ghost clicks on mobile
 let popupCloseTime = 0;
 
@@ -492,7 +389,6 @@ const charsPerRow = document.getElementById('chars-per-row');
 const charsValue = document.getElementById('chars-value');
 const asciiOutput = document.getElementById('ascii-output');
 const asciiCanvas = document.getElementById('ascii-canvas');
-const asciiCanvasCtx = asciiCanvas.getContext('2d', { alpha: false });
 const outputInfo = document.getElementById('output-info');
 const placeholder = document.getElementById('placeholder');
 const copyTextBtn = document.getElementById('copy-text-btn');
@@ -500,13 +396,27 @@ const copyHtmlBtn = document.getElementById('copy-html-btn');
 const copyMarkdownBtn = document.getElementById('copy-markdown-btn');
 const downloadPngBtn = document.getElementById('download-png-btn');
 const sharePngBtn = document.getElementById('share-png-btn');
+const downloadSvgBtn = document.getElementById('download-svg-btn');
+const svgEmbedFont = document.getElementById('svg-embed-font');
+const copyLinkBtn = document.getElementById('copy-link-btn');
+const linkEmbedImage = document.getElementById('link-embed-image');
+const ansiDepth = document.getElementById('ansi-depth');
+const copyAnsiBtn = document.getElementById('copy-ansi-btn');
+const downloadAnsBtn = document.getElementById('download-ans-btn');
+const downloadAnsiTxtBtn = document.getElementById('download-ansi-txt-btn');
 const gifExportControls = document.getElementById('gif-export-controls');
+const mainThreadNotice = document.getElementById('main-thread-notice');
 const downloadGifBtn = document.getElementById('download-gif-btn');
 const downloadVideoBtn = document.getElementById('download-video-btn');
 const gifStatus = document.getElementById('gif-status');
 const settingsPreset = document.getElementById('settings-preset');
 const saveSettingsPresetBtn = document.getElementById('save-settings-preset-btn');
 const deleteSettingsPresetBtn = document.getElementById('delete-settings-preset-btn');
+const exportPresetBtn = document.getElementById('export-preset-btn');
+const exportAllPresetsBtn = document.getElementById('export-all-presets-btn');
+const exportCharPresetsBtn = document.getElementById('export-char-presets-btn');
+const importPresetsBtn = document.getElementById('import-presets-btn');
+const presetFileInput = document.getElementById('preset-file-input');
 const toast = document.getElementById('toast');
 
 // Video settings modal elements
@@ -519,6 +429,35 @@ const videoQualitySelect = document.getElementById('video-quality');
 const videoFramerateSelect = document.getElementById('video-framerate');
 const videoDurationSelect = document.getElementById('video-duration');
 
+// GIF settings modal elements
+const gifPreferencesBtn = document.getElementById('gif-preferences-btn');
+const gifSettingsModal = document.getElementById('gif-settings-modal');
+const gifModalClose = document.getElementById('gif-modal-close');
+const gifModalSave = document.getElementById('gif-modal-save');
+const gifFramerateSelect = document.getElementById('gif-framerate');
+const gifDurationSelect = document.getElementById('gif-duration');
+const gifScaleSelect = document.getElementById('gif-scale');
+const gifMaxWidthSelect = document.getElementById('gif-max-width');
+const gifRepeatSelect = document.getElementById('gif-repeat');
+const gifDitherSelect = document.getElementById('gif-dither');
+const gifPaletteSelect = document.getElementById('gif-palette');
+const gifSizeEstimate = document.getElementById('gif-size-estimate');
+
+// Full video export modal elements
+const exportVideoBtn = document.getElementById('export-video-btn');
+const videoExportModal = document.getElementById('video-export-modal');
+const exportModalClose = document.getElementById('export-modal-close');
+const exportFormatSelect = document.getElementById('export-format');
+const exportFramerateSelect = document.getElementById('export-framerate');
+const exportInPoint = document.getElementById('export-in');
+const exportOutPoint = document.getElementById('export-out');
+const exportInCurrentBtn = document.getElementById('export-in-current');
+const exportOutCurrentBtn = document.getElementById('export-out-current');
+const exportProgress = document.getElementById('export-progress');
+const exportStatus = document.getElementById('export-status');
+const exportStartBtn = document.getElementById('export-start-btn');
+const exportCancelBtn = document.getElementById('export-cancel-btn');
+
 // Display settings
 const outputBackground = document.getElementById('output-background');
 const fontFamily = document.getElementById('font-family');
@@ -530,6 +469,18 @@ const charRatioValue = document.getElementById('char-ratio-value');
 const autoRatio = document.getElementById('auto-ratio');
 
 // Character set settings
+const algorithm = document.getElementById('algorithm');
+const edgeSettings = document.querySelectorAll('.edge-settings');
+const edgeOperator = document.getElementById('edge-operator');
+const edgeThreshold = document.getElementById('edge-threshold');
+const edgeThresholdValue = document.getElementById('edge-threshold-value');
+const brailleSettings = document.querySelectorAll('.braille-settings');
+const brailleThreshold = document.getElementById('braille-threshold');
+const brailleThresholdValue = document.getElementById('braille-threshold-value');
+const brailleDither = document.getElementById('braille-dither');
+const shapeSettings = document.querySelectorAll('.shape-settings');
+const shapeMetric = document.getElementById('shape-metric');
+const charDither = document.getElementById('char-dither');
 const charSet = document.getElementById('char-set');
 const charSetCustomGroup = document.getElementById('char-set-custom-group');
 const customChars = document.getElementById('custom-chars');
@@ -542,8 +493,25 @@ const deleteCharsBtn = document.getElementById('delete-chars-btn');
 const invertBrightness = document.getElementById('invert-brightness');
 const contrastAmount = document.getElementById('contrast-amount');
 const contrastAmountValue = document.getElementById('contrast-amount-value');
-const contrastHistogram = document.getElementById('contrast-histogram');
+const equalization = document.getElementById('equalization');
+const claheSettings = document.querySelectorAll('.clahe-settings');
+const claheTileSize = document.getElementById('clahe-tile-size');
+const claheTileSizeValue = document.getElementById('clahe-tile-size-value');
+const claheClipLimit = document.getElementById('clahe-clip-limit');
+const claheClipLimitValue = document.getElementById('clahe-clip-limit-value');
+const toneCurveCanvas = document.getElementById('tone-curve');
+const blackPoint = document.getElementById('black-point');
+const blackPointValue = document.getElementById('black-point-value');
+const whitePoint = document.getElementById('white-point');
+const whitePointValue = document.getElementById('white-point-value');
+const toneGamma = document.getElementById('tone-gamma');
+const toneGammaValue = document.getElementById('tone-gamma-value');
+const toneResetBtn = document.getElementById('tone-reset-btn');
 const colorMode = document.getElementById('color-mode');
+const paletteSettings = document.querySelectorAll('.palette-settings');
+const colorDither = document.getElementById('color-dither');
+const adaptiveSettings = document.querySelectorAll('.adaptive-settings');
+const quantizer = document.getElementById('quantizer');
 const colorSliders = document.querySelectorAll('.color-slider');
 const brightnessBlend = document.getElementById('brightness-blend');
 const brightnessBlendValue = document.getElementById('brightness-blend-value');
@@ -552,10 +520,18 @@ const colorSaturationValue = document.getElementById('color-saturation-value');
 const globalOpacity = document.getElementById('global-opacity');
 const globalOpacityValue = document.getElementById('global-opacity-value');
 const brightnessOpacity = document.getElementById('brightness-opacity');
+const colorBenchmarkBtn = document.getElementById('color-benchmark-btn');
+const colorBenchmarkResult = document.getElementById('color-benchmark-result');
+const temporalSmoothing = document.getElementById('temporal-smoothing');
+const temporalSmoothingValue = document.getElementById('temporal-smoothing-value');
 const monoSettings = document.querySelector('.mono-settings');
 const monoFg = document.getElementById('mono-fg');
 const monoBg = document.getElementById('mono-bg');
 
+// Started once the elements above exist: a worker that can't be created falls back
+// to the main thread synchronously, which shows #main-thread-notice
+startWorker();
+
 // Font detection
 const CANDIDATE_FONTS = [
     { name: 'Courier New', value: "'Courier New', Courier, monospace" },
@@ -657,7 +633,8 @@ function updateInvertDefaults() {
 // Initialize
 function init() {
     // Load saved output background or default to dark
-    const savedBg = localStorage.getItem('ascii-output-background') || 'dark';
+    const storedBg = localStorage.getItem('ascii-output-background');
+    const savedBg = SETTINGS_SCHEMA.outputBackground.values.includes(storedBg) ? storedBg : 'dark';
     outputBackground.value = savedBg;
     applyOutputBackground(savedBg);
 
@@ -673,8 +650,11 @@ function init() {
     updateCharRatio();
     updateMonoColors();
     initColorModeVisibility();
+    initEqualizationVisibility();
+    initAlgorithmVisibility();
     initSliderValues();
     loadSavedChars();
+    loadGifSettings();
     updateSettingsDeleteButtonVisibility();
     charRatio.disabled = autoRatio.checked;
 
@@ -683,14 +663,20 @@ function init() {
         sharePngBtn.style.display = '';
     }
 
+    if (quarantinedCount) {
+        showToast('Some saved presets were damaged and have been set aside');
+    }
+
     // Hide webcam button if camera not available
     checkWebcamAvailability();
 
     // Setup mobile UI
     setupMobileUI();
 
-    // Auto-load default image
-    loadDefaultImage();
+    // Settings from a shared link apply before the first conversion; its image replaces the default one
+    loadPermalink(location.hash).then(hasImage => {
+        if (!hasImage) loadDefaultImage();
+    });
 }
 
 // Mobile UI handling
@@ -855,8 +841,7 @@ function updateMobilePlaybackControls() {
 
 function setupSectionToggles() {
     const sections = document.querySelectorAll('.control-section[data-section]');
-    const savedStatesStr = localStorage.getItem('ascii-sections');
-    const savedStates = savedStatesStr ? JSON.parse(savedStatesStr) : null;
+    const savedStates = readStoredObject('ascii-sections');
 
     // Default expanded sections for first-time visitors (desktop only)
     const defaultExpanded = ['image-source', 'settings-presets'];
@@ -881,8 +866,13 @@ function setupSectionToggles() {
         // Add click handler
         h3.addEventListener('click', () => {
             section.classList.toggle('collapsed');
+            // The tone histogram isn't kept up to date while hidden
+            if (section.contains(toneCurveCanvas) && !section.classList.contains('collapsed') &&
+                currentImage && !isVideoPlaying && !isWebcamActive) {
+                convertToAscii();
+            }
             // Save state
-            const states = JSON.parse(localStorage.getItem('ascii-sections') || '{}');
+            const states = readStoredObject('ascii-sections') || {};
             states[name] = section.classList.contains('collapsed');
             localStorage.setItem('ascii-sections', JSON.stringify(states));
         });
@@ -895,10 +885,27 @@ function updateMonoColors() {
     monoBg.value = dark ? '#0d0d0d' : '#ffffff';
 }
 
+function isPaletteColorMode(mode) {
+    return mode !== 'monochrome' && mode !== 'truecolor';
+}
+
 function initColorModeVisibility() {
     const isMono = colorMode.value === 'monochrome';
     monoSettings.style.display = isMono ? 'block' : 'none';
     colorSliders.forEach(el => el.classList.toggle('disabled', isMono));
+    paletteSettings.forEach(el => el.style.display = isPaletteColorMode(colorMode.value) ? '' : 'none');
+    adaptiveSettings.forEach(el => el.style.display = colorMode.value.startsWith('adaptive') ? '' : 'none');
+}
+
+function initEqualizationVisibility() {
+    claheSettings.forEach(el => el.style.display = equalization.value === 'adaptive' ? '' : 'none');
+}
+
+function initAlgorithmVisibility() {
+    const usesEdges = algorithm.value === 'edges' || algorithm.value === 'hybrid';
+    edgeSettings.forEach(el => el.style.display = usesEdges ? '' : 'none');
+    brailleSettings.forEach(el => el.style.display = algorithm.value === 'braille' ? '' : 'none');
+    shapeSettings.forEach(el => el.style.display = algorithm.value === 'shape' ? '' : 'none');
 }
 
 function initSliderValues() {
@@ -906,15 +913,72 @@ function initSliderValues() {
     fontSizeValue.textContent = fontSize.value;
     charsValue.textContent = charsPerRow.value;
     charRatioValue.textContent = charRatio.value;
+    edgeThresholdValue.textContent = edgeThreshold.value;
+    brailleThresholdValue.textContent = brailleThreshold.value;
     contrastAmountValue.textContent = contrastAmount.value;
+    claheTileSizeValue.textContent = claheTileSize.value;
+    claheClipLimitValue.textContent = claheClipLimit.value;
+    blackPointValue.textContent = blackPoint.value;
+    whitePointValue.textContent = whitePoint.value;
+    toneGammaValue.textContent = toneGamma.value;
     brightnessBlendValue.textContent = brightnessBlend.value;
     colorSaturationValue.textContent = colorSaturation.value;
     globalOpacityValue.textContent = globalOpacity.value;
+    temporalSmoothingValue.textContent = temporalSmoothing.value;
+}
+
+// Damaged localStorage entries are moved aside (newest QUARANTINE_MAX kept) instead of breaking startup
+const QUARANTINE_KEY = 'ascii-quarantine';
+const QUARANTINE_MAX = 20;
+let quarantinedCount = 0;
+
+function quarantineStoredValue(key, value, reason) {
+    let entries = [];
+    try {
+        entries = JSON.parse(localStorage.getItem(QUARANTINE_KEY)) || [];
+    } catch (e) {
+        // A damaged quarantine is simply replaced
+    }
+    if (!Array.isArray(entries)) entries = [];
+    entries.push({ key, value, reason, date: new Date().toISOString() });
+    localStorage.setItem(QUARANTINE_KEY, JSON.stringify(entries.slice(-QUARANTINE_MAX)));
+    console.warn(`Moved damaged saved data (${key}) to ${QUARANTINE_KEY}: ${reason}`);
+    quarantinedCount++;
+}
+
+// Read a JSON object from localStorage; null if missing or damaged (damaged data is quarantined)
+function readStoredObject(key) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return null;
+
+    let reason;
+    try {
+        const value = JSON.parse(raw);
+        if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+        reason = 'not an object';
+    } catch (e) {
+        reason = e.message;
+    }
+    quarantineStoredValue(key, raw, reason);
+    localStorage.removeItem(key);
+    return null;
 }
 
 // Character set preset management
 function getCustomPresets() {
-    return JSON.parse(localStorage.getItem('ascii-custom-presets') || '{}');
+    const stored = readStoredObject('ascii-custom-presets') || {};
+    const presets = {};
+    for (const [name, chars] of Object.entries(stored)) {
+        if (typeof chars === 'string' && chars) {
+            presets[name] = chars;
+        } else {
+            quarantineStoredValue(`ascii-custom-presets/${name}`, chars, 'not a character string');
+        }
+    }
+    if (Object.keys(presets).length !== Object.keys(stored).length) {
+        localStorage.setItem('ascii-custom-presets', JSON.stringify(presets));
+    }
+    return presets;
 }
 
 function saveCustomPreset(name, chars) {
@@ -1241,6 +1305,39 @@ function setupEventListeners() {
         }
     });
 
+    // GIF settings modal handlers
+    gifPreferencesBtn.addEventListener('click', showGifSettingsModal);
+    gifModalClose.addEventListener('click', hideGifSettingsModal);
+    gifModalSave.addEventListener('click', () => {
+        gifSettings = readGifSettingsForm();
+        localStorage.setItem('ascii-gif-settings', JSON.stringify(gifSettings));
+        hideGifSettingsModal();
+    });
+    [gifFramerateSelect, gifDurationSelect, gifScaleSelect, gifMaxWidthSelect, gifDitherSelect, gifPaletteSelect]
+        .forEach(el => el.addEventListener('change', updateGifSizeEstimate));
+    gifSettingsModal.addEventListener('click', (e) => {
+        if (e.target === gifSettingsModal) {
+            hideGifSettingsModal();
+        }
+    });
+
+    // Full video export modal handlers
+    exportVideoBtn.addEventListener('click', showVideoExportModal);
+    exportModalClose.addEventListener('click', hideVideoExportModal);
+    exportCancelBtn.addEventListener('click', hideVideoExportModal);
+    exportStartBtn.addEventListener('click', exportFullVideo);
+    exportInCurrentBtn.addEventListener('click', () => {
+        if (currentVideo) exportInPoint.value = currentVideo.currentTime.toFixed(2);
+    });
+    exportOutCurrentBtn.addEventListener('click', () => {
+        if (currentVideo) exportOutPoint.value = currentVideo.currentTime.toFixed(2);
+    });
+    videoExportModal.addEventListener('click', (e) => {
+        if (e.target === videoExportModal) {
+            hideVideoExportModal();
+        }
+    });
+
     // Display settings
     outputBackground.addEventListener('change', () => {
         applyOutputBackground(outputBackground.value);
@@ -1291,6 +1388,22 @@ function setupEventListeners() {
     });
 
     // Character set settings
+    algorithm.addEventListener('change', () => {
+        initAlgorithmVisibility();
+        if (currentImage) convertToAscii();
+    });
+    edgeOperator.addEventListener('change', () => { if (currentImage) convertToAscii(); });
+    edgeThreshold.addEventListener('input', () => {
+        edgeThresholdValue.textContent = edgeThreshold.value;
+        debouncedConvert();
+    });
+    brailleThreshold.addEventListener('input', () => {
+        brailleThresholdValue.textContent = brailleThreshold.value;
+        debouncedConvert();
+    });
+    brailleDither.addEventListener('change', () => { if (currentImage) convertToAscii(); });
+    shapeMetric.addEventListener('change', () => { if (currentImage) convertToAscii(); });
+    charDither.addEventListener('change', () => { if (currentImage) convertToAscii(); });
     charSet.addEventListener('change', () => handlePresetChange(charSet, customChars));
     customChars.addEventListener('input', () => { if (currentImage) convertToAscii(); });
     sortCharsBtn.addEventListener('click', () => {
@@ -1307,14 +1420,54 @@ function setupEventListeners() {
         contrastAmountValue.textContent = contrastAmount.value;
         debouncedConvert();
     });
-    contrastHistogram.addEventListener('change', () => { if (currentImage) convertToAscii(); });
+    equalization.addEventListener('change', () => {
+        initEqualizationVisibility();
+        if (currentImage) convertToAscii();
+    });
+    claheTileSize.addEventListener('input', () => {
+        claheTileSizeValue.textContent = claheTileSize.value;
+        debouncedConvert();
+    });
+    claheClipLimit.addEventListener('input', () => {
+        claheClipLimitValue.textContent = claheClipLimit.value;
+        debouncedConvert();
+    });
+    blackPoint.addEventListener('input', () => {
+        // Keep the black point below the white point
+        if (parseInt(blackPoint.value) >= parseInt(whitePoint.value)) {
+            blackPoint.value = parseInt(whitePoint.value) - 1;
+        }
+        blackPointValue.textContent = blackPoint.value;
+        drawToneCurve();
+        debouncedConvert();
+    });
+    whitePoint.addEventListener('input', () => {
+        if (parseInt(whitePoint.value) <= parseInt(blackPoint.value)) {
+            whitePoint.value = parseInt(blackPoint.value) + 1;
+        }
+        whitePointValue.textContent = whitePoint.value;
+        drawToneCurve();
+        debouncedConvert();
+    });
+    toneGamma.addEventListener('input', () => {
+        toneGammaValue.textContent = toneGamma.value;
+        debouncedConvert();
+    });
+    toneResetBtn.addEventListener('click', () => {
+        applySettings({
+            blackPoint: DEFAULT_SETTINGS.blackPoint,
+            whitePoint: DEFAULT_SETTINGS.whitePoint,
+            gamma: DEFAULT_SETTINGS.gamma,
+            toneCurve: DEFAULT_SETTINGS.toneCurve
+        });
+    });
+    setupToneCurveEditor();
     colorMode.addEventListener('change', () => {
-        const isMono = colorMode.value === 'monochrome';
-        monoSettings.style.display = isMono ? 'block' : 'none';
-        colorSliders.forEach(el => el.classList.toggle('disabled', isMono));
-        cachedPalette = null; // Clear palette cache
+        initColorModeVisibility();
         if (currentImage) convertToAscii();
     });
+    colorDither.addEventListener('change', () => { if (currentImage) convertToAscii(); });
+    quantizer.addEventListener('change', () => { if (currentImage) convertToAscii(); });
     brightnessBlend.addEventListener('input', () => {
         brightnessBlendValue.textContent = brightnessBlend.value;
         debouncedConvert();
@@ -1332,6 +1485,9 @@ function setupEventListeners() {
     });
     monoFg.addEventListener('input', debouncedConvert);
     monoBg.addEventListener('input', debouncedConvert);
+    temporalSmoothing.addEventListener('input', () => {
+        temporalSmoothingValue.textContent = temporalSmoothing.value;
+    });
 
     // Copy buttons
     copyTextBtn.addEventListener('click', copyAsText);
@@ -1339,6 +1495,14 @@ function setupEventListeners() {
     copyMarkdownBtn.addEventListener('click', copyAsMarkdown);
     downloadPngBtn.addEventListener('click', downloadAsPng);
     sharePngBtn.addEventListener('click', shareAsPng);
+    downloadSvgBtn.addEventListener('click', downloadAsSvg);
+    copyLinkBtn.addEventListener('click', copyPermalink);
+    videoFps.addEventListener('click', toggleCanvasRenderer);
+    colorBenchmarkBtn.addEventListener('click', runColorBenchmark);
+    window.addEventListener('hashchange', () => loadPermalink(location.hash));
+    copyAnsiBtn.addEventListener('click', copyAsAnsi);
+    downloadAnsBtn.addEventListener('click', () => downloadAsAnsi('ans'));
+    downloadAnsiTxtBtn.addEventListener('click', () => downloadAsAnsi('txt'));
 
     // Settings presets
     settingsPreset.addEventListener('change', handleSettingsPresetChange);
@@ -1357,11 +1521,162 @@ function setupEventListeners() {
             }
         }
     });
+    exportPresetBtn.addEventListener('click', exportSelectedPreset);
+    exportAllPresetsBtn.addEventListener('click', exportAllPresets);
+    exportCharPresetsBtn.addEventListener('click', exportCharPresets);
+    importPresetsBtn.addEventListener('click', () => presetFileInput.click());
+    presetFileInput.addEventListener('change', () => {
+        const file = presetFileInput.files[0];
+        presetFileInput.value = '';
+        if (file) importPresetFile(file);
+    });
 
     // Window resize listener for auto-fit font size
     window.addEventListener('resize', debouncedAutoFit);
 }
 
+// Tone curve editor: control points in 0-255 input/output space, drawn over the
+// histogram of the brightness going into the curve (sent back by the worker)
+let toneCurvePoints = DEFAULT_SETTINGS.toneCurve.map(point => [...point]);
+let toneHistogram = null;
+const TONE_POINT_HIT_RADIUS = 10;
+
+// The histogram is only requested while the tone curve is visible, and at most a
+// couple of times a second during playback, so frames don't pay for redrawing it
+const TONE_HISTOGRAM_INTERVAL = 500;
+let lastToneHistogramTime = 0;
+
+function wantToneHistogram() {
+    if (isExporting || toneCurveCanvas.closest('.collapsed')) return false;
+    if (!isVideoPlaying && !isWebcamActive) return true;
+    const now = performance.now();
+    if (now - lastToneHistogramTime < TONE_HISTOGRAM_INTERVAL) return false;
+    lastToneHistogramTime = now;
+    return true;
+}
+
+function toneCurvePosition(e) {
+    const rect = toneCurveCanvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width * 255;
+    const y = 255 - (e.clientY - rect.top) / rect.height * 255;
+    return [Math.round(Math.min(255, Math.max(0, x))), Math.round(Math.min(255, Math.max(0, y)))];
+}
+
+function findToneCurvePoint([x, y]) {
+    let nearest = -1;
+    let minDist = TONE_POINT_HIT_RADIUS;
+    toneCurvePoints.forEach(([px, py], i) => {
+        const dist = Math.hypot(px - x, py - y);
+        if (dist <= minDist) {
+            minDist = dist;
+            nearest = i;
+        }
+    });
+    return nearest;
+}
+
+function setupToneCurveEditor() {
+    let dragIndex = -1;
+
+    toneCurveCanvas.addEventListener('pointerdown', e => {
+        const pos = toneCurvePosition(e);
+        dragIndex = findToneCurvePoint(pos);
+        if (dragIndex < 0) {
+            if (toneCurvePoints.length >= TONE_CURVE_MAX_POINTS ||
+                toneCurvePoints.some(([x]) => x === pos[0])) return;
+            toneCurvePoints.push(pos);
+            toneCurvePoints.sort((a, b) => a[0] - b[0]);
+            dragIndex = toneCurvePoints.indexOf(pos);
+            drawToneCurve();
+            debouncedConvert();
+        }
+        toneCurveCanvas.setPointerCapture(e.pointerId);
+    });
+
+    toneCurveCanvas.addEventListener('pointermove', e => {
+        if (dragIndex < 0) return;
+        const [x, y] = toneCurvePosition(e);
+        // Points keep their order, so inputs stay between the neighbours
+        const prev = toneCurvePoints[dragIndex - 1];
+        const next = toneCurvePoints[dragIndex + 1];
+        const minX = prev ? prev[0] + 1 : 0;
+        const maxX = next ? next[0] - 1 : 255;
+        toneCurvePoints[dragIndex] = [Math.min(maxX, Math.max(minX, x)), y];
+        drawToneCurve();
+        debouncedConvert();
+    });
+
+    const endDrag = () => { dragIndex = -1; };
+    toneCurveCanvas.addEventListener('pointerup', endDrag);
+    toneCurveCanvas.addEventListener('pointercancel', endDrag);
+
+    toneCurveCanvas.addEventListener('dblclick', e => {
+        const index = findToneCurvePoint(toneCurvePosition(e));
+        if (index < 0 || toneCurvePoints.length <= 2) return;
+        toneCurvePoints.splice(index, 1);
+        drawToneCurve();
+        debouncedConvert();
+    });
+}
+
+function drawToneCurve() {
+    const ctx = toneCurveCanvas.getContext('2d');
+    const size = toneCurveCanvas.width;
+    const scale = size / 255;
+    ctx.clearRect(0, 0, size, size);
+
+    // Histogram, square-root scaled so sparse tones stay visible
+    if (toneHistogram) {
+        const max = Math.max(...toneHistogram) || 1;
+        const barWidth = size / 256;
+        ctx.fillStyle = 'rgba(160, 160, 160, 0.35)';
+        for (let i = 0; i < 256; i++) {
+            const h = Math.sqrt(toneHistogram[i] / max) * size;
+            ctx.fillRect(i * barWidth, size - h, barWidth, h);
+        }
+    }
+
+    // Tones clipped by the black and white points
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.fillRect(0, 0, parseInt(blackPoint.value) * scale, size);
+    const white = parseInt(whitePoint.value) * scale;
+    ctx.fillRect(white, 0, size - white, size);
+
+    // Quarter grid and identity line
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let i = 1; i < 4; i++) {
+        const p = Math.round(i * size / 4) + 0.5;
+        ctx.moveTo(p, 0);
+        ctx.lineTo(p, size);
+        ctx.moveTo(0, p);
+        ctx.lineTo(size, p);
+    }
+    ctx.moveTo(0, size);
+    ctx.lineTo(size, 0);
+    ctx.stroke();
+
+    // Curve and its control points
+    const curve = toneCurveInterpolator(toneCurvePoints);
+    ctx.strokeStyle = '#5ba0e8';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let x = 0; x <= 255; x++) {
+        const px = x * scale, py = size - curve(x) * scale;
+        if (x === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+    }
+    ctx.stroke();
+
+    ctx.fillStyle = '#f0f0f0';
+    for (const [x, y] of toneCurvePoints) {
+        ctx.beginPath();
+        ctx.arc(x * scale, size - y * scale, 4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
 // Get current settings as an object
 function getCurrentSettings() {
     return {
@@ -1373,24 +1688,46 @@ function getCurrentSettings() {
         autoRatio: autoRatio.checked,
         charRatio: parseFloat(charRatio.value),
         // Character Set
+        algorithm: algorithm.value,
+        edgeOperator: edgeOperator.value,
+        edgeThreshold: parseInt(edgeThreshold.value),
+        brailleThreshold: parseInt(brailleThreshold.value),
+        brailleDither: brailleDither.checked,
+        shapeMetric: shapeMetric.value,
+        dither: charDither.value,
         charSetPreset: charSet.value,
         customChars: customChars.value,
         // Output
         colorMode: colorMode.value,
+        colorDither: colorDither.value,
+        quantizer: quantizer.value,
         invertBrightness: invertBrightness.checked,
-        histogramEq: contrastHistogram.checked,
+        equalization: equalization.value,
+        claheTileSize: parseInt(claheTileSize.value),
+        claheClipLimit: parseFloat(claheClipLimit.value),
         contrast: parseInt(contrastAmount.value),
+        blackPoint: parseInt(blackPoint.value),
+        whitePoint: parseInt(whitePoint.value),
+        gamma: parseFloat(toneGamma.value),
+        toneCurve: toneCurvePoints.map(point => [...point]),
         brightnessBlend: parseInt(brightnessBlend.value),
         saturation: parseInt(colorSaturation.value),
         opacity: parseInt(globalOpacity.value),
         brightnessAsOpacity: brightnessOpacity.checked,
         monoFg: monoFg.value,
-        monoBg: monoBg.value
+        monoBg: monoBg.value,
+        temporalSmoothing: parseInt(temporalSmoothing.value)
     };
 }
 
 // Apply settings from an object
-function applySettings(settings, skipConvert = false) {
+function applySettings(input, skipConvert = false) {
+    // Clamp and filter whatever we were given so bad values never reach the controls
+    const { settings, ignored } = validateSettings(input);
+    if (ignored.length) {
+        console.warn('Ignored settings:', ignored);
+    }
+
     // Display settings
     if (settings.outputBackground !== undefined) {
         outputBackground.value = settings.outputBackground;
@@ -1414,6 +1751,27 @@ function applySettings(settings, skipConvert = false) {
     }
 
     // Character set settings
+    if (settings.algorithm !== undefined) {
+        algorithm.value = settings.algorithm;
+    }
+    if (settings.edgeOperator !== undefined) {
+        edgeOperator.value = settings.edgeOperator;
+    }
+    if (settings.edgeThreshold !== undefined) {
+        edgeThreshold.value = settings.edgeThreshold;
+    }
+    if (settings.brailleThreshold !== undefined) {
+        brailleThreshold.value = settings.brailleThreshold;
+    }
+    if (settings.brailleDither !== undefined) {
+        brailleDither.checked = settings.brailleDither;
+    }
+    if (settings.shapeMetric !== undefined) {
+        shapeMetric.value = settings.shapeMetric;
+    }
+    if (settings.dither !== undefined) {
+        charDither.value = settings.dither;
+    }
     if (settings.charSetPreset !== undefined) {
         charSet.value = settings.charSetPreset;
     }
@@ -1430,15 +1788,39 @@ function applySettings(settings, skipConvert = false) {
     if (settings.colorMode !== undefined) {
         colorMode.value = settings.colorMode;
     }
+    if (settings.colorDither !== undefined) {
+        colorDither.value = settings.colorDither;
+    }
+    if (settings.quantizer !== undefined) {
+        quantizer.value = settings.quantizer;
+    }
     if (settings.invertBrightness !== undefined) {
         invertBrightness.checked = settings.invertBrightness;
     }
-    if (settings.histogramEq !== undefined) {
-        contrastHistogram.checked = settings.histogramEq;
+    if (settings.equalization !== undefined) {
+        equalization.value = settings.equalization;
+    }
+    if (settings.claheTileSize !== undefined) {
+        claheTileSize.value = settings.claheTileSize;
+    }
+    if (settings.claheClipLimit !== undefined) {
+        claheClipLimit.value = settings.claheClipLimit;
     }
     if (settings.contrast !== undefined) {
         contrastAmount.value = settings.contrast;
     }
+    if (settings.blackPoint !== undefined) {
+        blackPoint.value = settings.blackPoint;
+    }
+    if (settings.whitePoint !== undefined) {
+        whitePoint.value = Math.max(settings.whitePoint, parseInt(blackPoint.value) + 1);
+    }
+    if (settings.gamma !== undefined) {
+        toneGamma.value = settings.gamma;
+    }
+    if (settings.toneCurve !== undefined) {
+        toneCurvePoints = settings.toneCurve.map(point => [...point]);
+    }
     if (settings.brightnessBlend !== undefined) {
         brightnessBlend.value = settings.brightnessBlend;
     }
@@ -1457,6 +1839,9 @@ function applySettings(settings, skipConvert = false) {
     if (settings.monoBg !== undefined) {
         monoBg.value = settings.monoBg;
     }
+    if (settings.temporalSmoothing !== undefined) {
+        temporalSmoothing.value = settings.temporalSmoothing;
+    }
 
     // Update all UI state
     updateDisplaySettings();
@@ -1466,9 +1851,11 @@ function applySettings(settings, skipConvert = false) {
         charRatioValue.textContent = charRatio.value;
     }
     initColorModeVisibility();
+    initEqualizationVisibility();
+    initAlgorithmVisibility();
     initSliderValues();
+    drawToneCurve();
     updateDeleteButtonVisibility();
-    cachedPalette = null; // Clear palette cache
 
     // Re-convert if image loaded
     if (!skipConvert && currentImage) {
@@ -1477,8 +1864,24 @@ function applySettings(settings, skipConvert = false) {
 }
 
 // Settings presets localStorage management
+// Stored presets are migrated to the current schema and validated on every read
 function getCustomSettingsPresets() {
-    return JSON.parse(localStorage.getItem('ascii-settings-presets') || '{}');
+    const stored = readStoredObject('ascii-settings-presets') || {};
+    const presets = {};
+    for (const [name, value] of Object.entries(stored)) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        const { settings, ignored } = validateSettings(isObject ? migrateSettings(value) : value);
+        if (Object.keys(settings).length) {
+            presets[name] = { schemaVersion: SETTINGS_SCHEMA_VERSION, ...settings };
+            if (ignored.length) console.warn(`Preset "${name}": ignored`, ignored);
+        } else {
+            quarantineStoredValue(`ascii-settings-presets/${name}`, value, ignored.join(', ') || 'no usable settings');
+        }
+    }
+    if (Object.keys(presets).length !== Object.keys(stored).length) {
+        saveCustomSettingsPresets(presets);
+    }
+    return presets;
 }
 
 function saveCustomSettingsPresets(presets) {
@@ -1487,7 +1890,7 @@ function saveCustomSettingsPresets(presets) {
 
 function saveCurrentAsPreset(name) {
     const presets = getCustomSettingsPresets();
-    presets[name] = getCurrentSettings();
+    presets[name] = { schemaVersion: SETTINGS_SCHEMA_VERSION, ...getCurrentSettings() };
     saveCustomSettingsPresets(presets);
     populateSettingsPresetDropdown();
     settingsPreset.value = 'custom:' + name;
@@ -1537,6 +1940,125 @@ function populateSettingsPresetDropdown() {
     }
 }
 
+// Preset files (JSON): one preset, all custom presets, or the custom character sets
+function downloadPresetFile(data, filename) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function presetFileName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset';
+}
+
+function exportSelectedPreset() {
+    const value = settingsPreset.value;
+    let name;
+    let settings;
+    if (value.startsWith('custom:')) {
+        name = value.substring(7);
+        settings = getCustomSettingsPresets()[name];
+    } else if (SETTINGS_PRESETS[value]) {
+        name = SETTINGS_PRESETS[value].name;
+        settings = SETTINGS_PRESETS[value].settings;
+    }
+    if (!settings) {
+        showToast('No preset selected');
+        return;
+    }
+
+    downloadPresetFile(createPresetFile({ settingsPresets: { [name]: settings } }), `${presetFileName(name)}.preset.json`);
+    showToast(`Exported preset "${name}"`);
+}
+
+function exportAllPresets() {
+    const settingsPresets = getCustomSettingsPresets();
+    const charPresets = getCustomPresets();
+    if (!Object.keys(settingsPresets).length && !Object.keys(charPresets).length) {
+        showToast('No custom presets to export');
+        return;
+    }
+
+    downloadPresetFile(createPresetFile({ settingsPresets, charPresets }), 'ascii-art-presets.json');
+    showToast('Exported all presets');
+}
+
+function exportCharPresets() {
+    const charPresets = getCustomPresets();
+    if (!Object.keys(charPresets).length) {
+        showToast('No custom character sets to export');
+        return;
+    }
+
+    downloadPresetFile(createPresetFile({ charPresets }), 'ascii-art-charsets.json');
+    showToast('Exported character sets');
+}
+
+// Merge a preset file into localStorage. Identical entries are skipped, conflicting
+// names get a numbered suffix, and dropped fields are listed afterwards.
+async function importPresetFile(file) {
+    let parsed;
+    try {
+        const fallbackName = file.name.replace(/(\.preset)?\.json$/i, '') || 'Imported';
+        parsed = parsePresetFile(JSON.parse(await file.text()), fallbackName);
+    } catch (e) {
+        showToast(`Import failed: ${e.message}`);
+        return;
+    }
+
+    const renamed = [];
+    let imported = 0;
+    // Already present under this name or a numbered copy of it (e.g. from an earlier import)
+    const alreadyStored = (stored, name, value) => Object.entries(stored).some(([n, v]) =>
+        (n === name || n.startsWith(`${name} (`)) && JSON.stringify(v) === JSON.stringify(value));
+
+    const settingsPresets = getCustomSettingsPresets();
+    for (const [name, settings] of Object.entries(parsed.settingsPresets)) {
+        if (alreadyStored(settingsPresets, name, { schemaVersion: SETTINGS_SCHEMA_VERSION, ...settings })) continue;
+        const target = uniquePresetName(name, n => n in settingsPresets);
+        if (target !== name) renamed.push(`"${name}" → "${target}"`);
+        settingsPresets[target] = { schemaVersion: SETTINGS_SCHEMA_VERSION, ...settings };
+        imported++;
+    }
+    saveCustomSettingsPresets(settingsPresets);
+
+    const charPresets = getCustomPresets();
+    for (const [name, chars] of Object.entries(parsed.charPresets)) {
+        if (alreadyStored(charPresets, name, chars)) continue;
+        // Built-in character set names are reserved (see handleSavePreset)
+        const target = uniquePresetName(name, n => n in charPresets || !!CHAR_SETS[n.toLowerCase()]);
+        if (target !== name) renamed.push(`"${name}" → "${target}"`);
+        charPresets[target] = chars;
+        imported++;
+    }
+    localStorage.setItem('ascii-custom-presets', JSON.stringify(charPresets));
+
+    // Rebuilding the dropdowns resets them, so keep the current selections
+    const selectedPreset = settingsPreset.value;
+    const selectedCharSet = charSet.value;
+    populateSettingsPresetDropdown();
+    populateCustomPresets();
+    settingsPreset.value = selectedPreset;
+    charSet.value = selectedCharSet;
+
+    const summary = imported ? `Imported ${imported} preset${imported === 1 ? '' : 's'}` : 'Nothing new to import';
+    if (renamed.length || parsed.ignored.length) {
+        const details = [summary + '.'];
+        if (renamed.length) details.push('', 'Renamed to avoid conflicts:', ...renamed);
+        if (parsed.ignored.length) details.push('', 'Ignored:', ...parsed.ignored);
+        alert(details.join('\n'));
+    } else {
+        showToast(summary);
+    }
+}
+
 function updateSettingsDeleteButtonVisibility() {
     const isCustom = settingsPreset.value.startsWith('custom:');
     deleteSettingsPresetBtn.style.display = isCustom ? 'inline-block' : 'none';
@@ -1824,21 +2346,13 @@ function convertVideoFrame() {
 
     // Store as currentImage for conversion (conversion will use this with drawImage)
     currentImage = videoProxy;
-    cachedPalette = null;
     convertToAscii();
 }
 
 function videoPlaybackLoop(timestamp) {
     if (!isVideoPlaying) return;
 
-    // Calculate FPS
-    frameCount++;
-    if (timestamp - fpsUpdateTime >= 1000) {
-        currentFps = frameCount;
-        frameCount = 0;
-        fpsUpdateTime = timestamp;
-        videoFps.textContent = `FPS: ${currentFps}`;
-    }
+    updateFpsDisplay(timestamp);
 
     // Convert current frame
     convertVideoFrame();
@@ -1851,8 +2365,14 @@ function videoPlaybackLoop(timestamp) {
     videoAnimationId = requestAnimationFrame(videoPlaybackLoop);
 }
 
+// Start the worker's anti-flicker history over (new playback, seek or export)
+function resetTemporalHistory() {
+    if (asciiWorker) asciiWorker.postMessage({ type: 'resetTemporal' });
+}
+
 function playVideo() {
-    if (!currentVideo) return;
+    if (!currentVideo || isExporting) return;
+    resetTemporalHistory();
     currentVideo.play();
     isVideoPlaying = true;
     needsInitialAutoFit = true; // Trigger auto-fit on first frame
@@ -1908,6 +2428,9 @@ function stopVideo() {
         videoAnimationId = null;
     }
     // Stop any GIF/video recording and clear frames
+    if (isExporting) {
+        cancelExport();
+    }
     if (isRecordingGif) {
         stopGifRecording(false);
     }
@@ -1927,6 +2450,7 @@ function stopVideo() {
 function seekVideo(time) {
     if (!currentVideo) return;
     currentVideo.currentTime = time;
+    resetTemporalHistory();
     updateVideoTime();
 }
 
@@ -1998,6 +2522,7 @@ async function startWebcam() {
         asciiOutput.parentElement.style.userSelect = 'none';
         asciiOutput.parentElement.style.cursor = 'pointer';
         needsInitialAutoFit = true; // Trigger auto-fit on first frame
+        resetTemporalHistory();
         webcamAnimationId = requestAnimationFrame(webcamCaptureLoop);
 
         // Close mobile panel and update controls
@@ -2072,14 +2597,7 @@ function stopWebcam() {
 function webcamCaptureLoop(timestamp) {
     if (!isWebcamActive) return;
 
-    // Calculate FPS
-    frameCount++;
-    if (timestamp - fpsUpdateTime >= 1000) {
-        currentFps = frameCount;
-        frameCount = 0;
-        fpsUpdateTime = timestamp;
-        videoFps.textContent = `FPS: ${currentFps}`;
-    }
+    updateFpsDisplay(timestamp);
 
     // Convert current frame
     convertVideoFrame();
@@ -2301,13 +2819,13 @@ function captureGifFrameLoop() {
     const elapsed = now - gifStartTime;
 
     // Check duration limit
-    if (elapsed >= GIF_MAX_DURATION) {
+    if (elapsed >= gifSettings.duration * 1000) {
         stopGifRecording(true);
         return;
     }
 
     // Capture frame at interval
-    if (now - lastGifFrameTime >= GIF_FRAME_INTERVAL) {
+    if (now - lastGifFrameTime >= 1000 / gifSettings.framerate) {
         captureGifFrame();
         lastGifFrameTime = now;
         gifStatus.textContent = `Recording... ${(elapsed / 1000).toFixed(1)}s`;
@@ -2317,6 +2835,9 @@ function captureGifFrameLoop() {
 }
 
 function captureGifFrame() {
+    // The worker's canvas can't be read back; the next frame is painted on the main thread
+    if (isWorkerCanvasShown()) return;
+
     // If using canvas mode, just copy the canvas directly
     if (asciiCanvas.style.display !== 'none' && asciiCanvas.width > 0) {
         const canvas = document.createElement('canvas');
@@ -2324,7 +2845,7 @@ function captureGifFrame() {
         canvas.height = asciiCanvas.height;
         const ctx = canvas.getContext('2d');
         ctx.drawImage(asciiCanvas, 0, 0);
-        gifFrames.push(canvas);
+        gifFrames.push(scaleGifFrame(canvas));
         return;
     }
 
@@ -2395,7 +2916,7 @@ function captureGifFrame() {
         }
     }
 
-    gifFrames.push(canvas);
+    gifFrames.push(scaleGifFrame(canvas));
 }
 
 function stopGifRecording(encode) {
@@ -2412,16 +2933,11 @@ function stopGifRecording(encode) {
     gifStatus.textContent = `Encoding ${gifFrames.length} frames...`;
 
     // Encode GIF using gif.js
-    const gif = new GIF({
-        workers: 2,
-        quality: 10,
-        width: gifFrames[0].width,
-        height: gifFrames[0].height,
-        workerScript: 'gif.worker.js'
-    });
+    const gif = createGifEncoder(gifFrames[0].width, gifFrames[0].height);
+    const delay = Math.round(1000 / gifSettings.framerate);
 
     gifFrames.forEach(canvas => {
-        gif.addFrame(canvas, { delay: GIF_FRAME_INTERVAL });
+        gif.addFrame(canvas, { delay });
     });
 
     gif.on('finished', blob => {
@@ -2448,9 +2964,114 @@ function stopGifRecording(encode) {
     gif.render();
 }
 
-// Video Settings Modal
-function showVideoSettingsModal() {
-    // Update format options based on browser support
+// gif.js encoder configured from the GIF settings
+function createGifEncoder(width, height) {
+    return new GIF({
+        workers: 2,
+        quality: 10,
+        width,
+        height,
+        repeat: gifSettings.repeat,
+        dither: gifSettings.dither ? 'FloydSteinberg' : false,
+        globalPalette: gifSettings.globalPalette,
+        workerScript: 'gif.worker.js'
+    });
+}
+
+// Frame size after applying the GIF scale and max width
+function getGifFrameSize(width, height, settings = gifSettings) {
+    let scale = settings.scale;
+    if (settings.maxWidth > 0 && width * scale > settings.maxWidth) {
+        scale = settings.maxWidth / width;
+    }
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+function scaleGifFrame(source) {
+    const { width, height } = getGifFrameSize(source.width, source.height);
+    if (width === source.width && height === source.height) {
+        return source;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(source, 0, 0, width, height);
+    return canvas;
+}
+
+function loadGifSettings() {
+    const saved = readStoredObject('ascii-gif-settings') || {};
+    gifSettings = { ...DEFAULT_GIF_SETTINGS };
+    for (const key of Object.keys(DEFAULT_GIF_SETTINGS)) {
+        if (typeof saved[key] === typeof DEFAULT_GIF_SETTINGS[key]) gifSettings[key] = saved[key];
+    }
+}
+
+function readGifSettingsForm() {
+    return {
+        framerate: parseInt(gifFramerateSelect.value),
+        duration: parseInt(gifDurationSelect.value),
+        scale: parseFloat(gifScaleSelect.value),
+        maxWidth: parseInt(gifMaxWidthSelect.value),
+        repeat: parseInt(gifRepeatSelect.value),
+        dither: gifDitherSelect.value === 'on',
+        globalPalette: gifPaletteSelect.value === 'global'
+    };
+}
+
+// GIF Settings Modal
+function showGifSettingsModal() {
+    gifFramerateSelect.value = gifSettings.framerate;
+    gifDurationSelect.value = gifSettings.duration;
+    gifScaleSelect.value = gifSettings.scale;
+    gifMaxWidthSelect.value = gifSettings.maxWidth;
+    gifRepeatSelect.value = gifSettings.repeat;
+    gifDitherSelect.value = gifSettings.dither ? 'on' : 'off';
+    gifPaletteSelect.value = gifSettings.globalPalette ? 'global' : 'frame';
+    updateGifSizeEstimate();
+
+    gifSettingsModal.classList.add('show');
+}
+
+function hideGifSettingsModal() {
+    gifSettingsModal.classList.remove('show');
+    popupCloseTime = Date.now();
+}
+
+// Rough size estimate for a full-length recording of the current output.
+// ASCII frames are mostly flat background, so LZW packs them to a fraction of
+// a byte per pixel; dithering breaks up runs and roughly doubles that.
+function updateGifSizeEstimate() {
+    const settings = readGifSettingsForm();
+    let sourceWidth = asciiCanvas.width;
+    let sourceHeight = asciiCanvas.height;
+    if (asciiCanvas.style.display === 'none' || !sourceWidth) {
+        const size = parseInt(fontSize.value);
+        sourceWidth = Math.ceil(currentAsciiWidth * size * getCharRatio());
+        sourceHeight = currentAsciiHeight * size;
+    }
+    if (!sourceWidth || !sourceHeight) {
+        gifSizeEstimate.textContent = '';
+        return;
+    }
+
+    const { width, height } = getGifFrameSize(sourceWidth, sourceHeight, settings);
+    const frames = settings.framerate * settings.duration;
+    const bytesPerPixel = settings.dither ? 0.45 : 0.2;
+    const paletteBytes = settings.globalPalette ? 768 : 768 * frames;
+    const bytes = frames * width * height * bytesPerPixel + paletteBytes;
+    const sizeText = bytes >= 1048576 ? `${(bytes / 1048576).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+    gifSizeEstimate.textContent = `Estimated size: ~${sizeText} (${frames} frames at ${width}×${height})`;
+}
+
+// Video Settings Modal
+function showVideoSettingsModal() {
+    // Update format options based on browser support
     updateFormatOptions();
 
     videoSettingsModal.classList.add('show');
@@ -2503,7 +3124,15 @@ function startVideoRecording() {
     }
 
     // Check if canvas mode is active
-    if (asciiCanvas.style.display === 'none' || asciiCanvas.width === 0) {
+    if (isWorkerCanvasShown()) {
+        // Recording switches painting to #ascii-canvas; size it for the current frame up front
+        const { canvasWidth, canvasHeight } = canvasPixelSize(lastWidth, lastHeight, {
+            fontSize: parseInt(fontSize.value),
+            charRatio: getCharRatio()
+        });
+        asciiCanvas.width = canvasWidth;
+        asciiCanvas.height = canvasHeight;
+    } else if (asciiCanvas.style.display === 'none' || asciiCanvas.width === 0) {
         showToast('Canvas not ready for recording');
         return;
     }
@@ -2611,6 +3240,307 @@ function stopVideoRecording() {
     mediaRecorder = null;
 }
 
+// Full video export: seeks the video frame by frame at a fixed frame rate and
+// converts every frame through the worker, so no frames are dropped or duplicated
+function showVideoExportModal() {
+    if (!currentVideo || isWebcamActive) {
+        showToast('Load a video file first');
+        return;
+    }
+
+    const duration = currentVideo.duration || 0;
+    exportInPoint.max = duration.toFixed(2);
+    exportOutPoint.max = duration.toFixed(2);
+    const inPoint = parseFloat(exportInPoint.value);
+    const outPoint = parseFloat(exportOutPoint.value);
+    if (!(inPoint >= 0 && inPoint < duration)) exportInPoint.value = '0';
+    if (!(outPoint > 0 && outPoint <= duration)) exportOutPoint.value = duration.toFixed(2);
+
+    updateExportFormatOptions();
+    if (!isExporting) {
+        exportProgress.value = 0;
+        exportStatus.textContent = '';
+    }
+    videoExportModal.classList.add('show');
+}
+
+function hideVideoExportModal() {
+    if (isExporting) {
+        cancelExport();
+        exportStatus.textContent = 'Cancelling...';
+        return;
+    }
+    videoExportModal.classList.remove('show');
+    popupCloseTime = Date.now();
+}
+
+// WebM output needs WebCodecs; GIF always works through gif.js
+function updateExportFormatOptions() {
+    const hasWebCodecs = typeof VideoEncoder !== 'undefined';
+    for (const option of exportFormatSelect.options) {
+        if (option.value !== 'gif') {
+            option.disabled = !hasWebCodecs;
+        }
+    }
+    if (exportFormatSelect.selectedOptions[0]?.disabled) {
+        exportFormatSelect.value = 'gif';
+    }
+}
+
+function waitForWorkerIdle() {
+    return new Promise(resolve => {
+        const check = () => workerBusy ? setTimeout(check, 10) : resolve();
+        check();
+    });
+}
+
+// Stop a full-video export: the frame loop stops before its next frame and an
+// encode in progress (GIF encoding can take a while) is aborted
+function cancelExport() {
+    exportCancelled = true;
+    activeExporter?.abort();
+}
+
+// Seek and wait for the frame; rejects on a media error or when the seek never completes
+const SEEK_TIMEOUT_MS = 10000;
+
+function seekVideoTo(video, time) {
+    return new Promise((resolve, reject) => {
+        const done = error => {
+            clearTimeout(timer);
+            video.removeEventListener('seeked', onSeeked);
+            video.removeEventListener('error', onError);
+            if (error) reject(error);
+            else resolve();
+        };
+        const onSeeked = () => done(null);
+        const onError = () => done(new Error('Video error while seeking'));
+        const timer = setTimeout(() => done(new Error(`Seek to ${time.toFixed(2)}s timed out`)), SEEK_TIMEOUT_MS);
+        video.addEventListener('seeked', onSeeked);
+        video.addEventListener('error', onError);
+        video.currentTime = time;
+    });
+}
+
+// Convert the current video frame through the worker and wait for the result.
+// A worker crash or main-thread error rejects it through exportFrameReject; a
+// conversion that is lost without either times out instead of stalling the export
+const EXPORT_FRAME_TIMEOUT_MS = 30000;
+
+function convertFrameForExport() {
+    return new Promise((resolve, reject) => {
+        const settle = () => {
+            clearTimeout(timer);
+            exportFrameResolve = null;
+            exportFrameReject = null;
+        };
+        const timer = setTimeout(() => {
+            workerBusy = false;
+            exportFrameReject(new Error('Frame conversion timed out'));
+        }, EXPORT_FRAME_TIMEOUT_MS);
+        exportFrameResolve = result => { settle(); resolve(result); };
+        exportFrameReject = error => { settle(); reject(error); };
+        workerBusy = true;
+        postConversion(true);
+    });
+}
+
+async function exportFullVideo() {
+    if (isExporting || !currentVideo) return;
+    if (!asciiWorker) {
+        showToast('Conversion engine is not ready yet');
+        return;
+    }
+
+    const video = currentVideo;
+    const fps = parseInt(exportFramerateSelect.value);
+    const format = exportFormatSelect.value;
+    const inPoint = Math.max(0, parseFloat(exportInPoint.value) || 0);
+    const outPoint = Math.min(video.duration, parseFloat(exportOutPoint.value) || video.duration);
+    if (!(outPoint > inPoint)) {
+        showToast('Out point must be after in point');
+        return;
+    }
+
+    if (isVideoPlaying) {
+        pauseVideo();
+    }
+    await waitForWorkerIdle();
+
+    const frameTotal = Math.max(1, Math.floor((outPoint - inPoint) * fps));
+    const resumeTime = video.currentTime;
+    resetTemporalHistory();
+    isExporting = true;
+    exportCancelled = false;
+    exportStartBtn.disabled = true;
+    exportProgress.value = 0;
+    setCanvasMode(true);
+
+    let exporter = null;
+    try {
+        currentImage = { width: video.videoWidth, height: video.videoHeight, _source: video };
+
+        for (let i = 0; i < frameTotal; i++) {
+            if (exportCancelled || currentVideo !== video) break;
+
+            // Sample the middle of each frame interval to avoid landing on frame boundaries
+            await seekVideoTo(video, Math.min(inPoint + (i + 0.5) / fps, outPoint));
+            const result = await convertFrameForExport();
+            renderToCanvas(result.ascii, result.colorData, result.width, result.height);
+
+            if (!exporter) {
+                exporter = activeExporter = format === 'gif'
+                    ? createGifExporter(fps)
+                    : createWebmExporter(fps, format, asciiCanvas.width, asciiCanvas.height);
+            }
+            await exporter.addFrame(asciiCanvas, i);
+
+            exportProgress.value = (i + 1) / frameTotal * (format === 'gif' ? 0.5 : 1);
+            exportStatus.textContent = `Rendering frame ${i + 1} / ${frameTotal}`;
+        }
+
+        if (exporter && !exportCancelled && currentVideo === video) {
+            exportStatus.textContent = 'Encoding...';
+            const blob = await exporter.finish(p => {
+                exportProgress.value = 0.5 + p * 0.5;
+                exportStatus.textContent = `Encoding... ${Math.round(p * 100)}%`;
+            });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `ascii-video.${format === 'gif' ? 'gif' : 'webm'}`;
+            a.style.display = 'none';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+            exportStatus.textContent = `Exported ${frameTotal} frames`;
+            showToast('Video exported!');
+        } else {
+            exporter?.abort();
+            exportStatus.textContent = 'Export cancelled';
+        }
+    } catch (e) {
+        exporter?.abort();
+        if (exportCancelled) {
+            // Aborting the encoder rejects finish()
+            exportStatus.textContent = 'Export cancelled';
+        } else {
+            console.error('Video export failed:', e);
+            exportStatus.textContent = 'Export failed';
+            showToast('Video export failed');
+        }
+    } finally {
+        isExporting = false;
+        activeExporter = null;
+        exportFrameResolve = null;
+        exportFrameReject = null;
+        exportStartBtn.disabled = false;
+
+        // Restore the paused frame the user was looking at
+        if (currentVideo === video) {
+            try {
+                await seekVideoTo(video, resumeTime);
+            } catch (e) {
+                console.warn('Could not restore the video position after export:', e);
+            }
+            updateVideoTime();
+            convertVideoFrame();
+        }
+    }
+}
+
+function createGifExporter(fps) {
+    let gif = null;
+    let aborted = false;
+
+    return {
+        addFrame(canvas) {
+            if (aborted) return;
+            const frame = scaleGifFrame(canvas);
+            if (!gif) {
+                gif = createGifEncoder(frame.width, frame.height);
+            }
+            gif.addFrame(frame, { delay: Math.round(1000 / fps), copy: true });
+        },
+        finish(onProgress) {
+            return new Promise((resolve, reject) => {
+                if (aborted) {
+                    reject(new Error('GIF encoding aborted'));
+                    return;
+                }
+                gif.on('progress', onProgress);
+                gif.on('finished', resolve);
+                gif.on('abort', () => reject(new Error('GIF encoding aborted')));
+                gif.render();
+            });
+        },
+        abort() {
+            if (aborted) return;
+            aborted = true;
+            gif?.abort();
+        }
+    };
+}
+
+// WebCodecs encoder writing into a WebM container; frame timestamps come from the
+// frame index, so the output timing doesn't depend on how fast frames render
+function createWebmExporter(fps, format, width, height) {
+    // VP8/VP9 need even dimensions
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = width + (width % 2);
+    frameCanvas.height = height + (height % 2);
+    const frameCtx = frameCanvas.getContext('2d');
+
+    const isVp9 = format === 'webm-vp9';
+    const muxer = createWebmMuxer(frameCanvas.width, frameCanvas.height, isVp9 ? 'V_VP9' : 'V_VP8');
+    let encodeError = null;
+    const encoder = new VideoEncoder({
+        output: chunk => muxer.addChunk(chunk),
+        error: e => { encodeError = e; }
+    });
+    const qualityBitrateMap = { high: 8000000, medium: 5000000, low: 2000000 };
+    encoder.configure({
+        codec: isVp9 ? 'vp09.00.10.08' : 'vp8',
+        width: frameCanvas.width,
+        height: frameCanvas.height,
+        bitrate: qualityBitrateMap[videoSettings.quality] || 5000000,
+        framerate: fps
+    });
+    const frameDuration = 1000000 / fps;
+
+    return {
+        async addFrame(canvas, index) {
+            if (encodeError) throw encodeError;
+            if (encoder.state === 'closed') return;
+            frameCtx.fillStyle = colorMode.value === 'monochrome' ? monoBg.value : (isDarkMode() ? '#0d0d0d' : '#ffffff');
+            frameCtx.fillRect(0, 0, frameCanvas.width, frameCanvas.height);
+            frameCtx.drawImage(canvas, 0, 0);
+
+            const frame = new VideoFrame(frameCanvas, {
+                timestamp: Math.round(index * frameDuration),
+                duration: Math.round(frameDuration)
+            });
+            encoder.encode(frame, { keyFrame: index % (fps * 2) === 0 });
+            frame.close();
+
+            // Backpressure: don't queue unbounded frames in the encoder
+            while (encoder.encodeQueueSize > 4) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+        },
+        async finish(onProgress) {
+            await encoder.flush();
+            if (encodeError) throw encodeError;
+            encoder.close();
+            onProgress(1);
+            return muxer.finalize();
+        },
+        abort() {
+            if (encoder.state !== 'closed') encoder.close();
+        }
+    };
+}
 
 function loadDefaultImage() {
     loadImage('default_image.jpg');
@@ -2628,7 +3558,6 @@ function loadImage(src) {
         currentImage = img;
         currentVideo = null;
         isVideoMode = false;
-        cachedPalette = null; // Clear palette cache for new image
         if (asciiWorker) asciiWorker.postMessage({ type: 'clearCache' });
         showPreview(src);
         convertToAscii();
@@ -2654,6 +3583,71 @@ function showPreview(src) {
     document.querySelector('.media-input-row')?.classList.add('has-preview');
 }
 
+// Shareable links (see permalink.js)
+// Only tiny still images are embedded so links stay short enough to paste anywhere
+const PERMALINK_IMAGE_MAX_SIZE = 128;
+const PERMALINK_IMAGE_MAX_BYTES = 12 * 1024;
+
+// PNG bytes of the current image, or null if it's not a still image small enough to embed
+async function getPermalinkImage() {
+    if (!currentImage || isVideoMode || isWebcamActive) return null;
+    const width = currentImage.naturalWidth;
+    const height = currentImage.naturalHeight;
+    if (!width || !height || width > PERMALINK_IMAGE_MAX_SIZE || height > PERMALINK_IMAGE_MAX_SIZE) return null;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(currentImage, 0, 0);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob || blob.size > PERMALINK_IMAGE_MAX_BYTES) return null;
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+async function copyPermalink() {
+    let imageBytes = null;
+    if (linkEmbedImage.checked) {
+        imageBytes = await getPermalinkImage();
+        if (!imageBytes) {
+            showToast(`Only still images up to ${PERMALINK_IMAGE_MAX_SIZE}×${PERMALINK_IMAGE_MAX_SIZE} px can be embedded; copying settings only`);
+        }
+    }
+
+    const url = location.href.split('#')[0] + await encodePermalink(getCurrentSettings(), imageBytes);
+    navigator.clipboard.writeText(url).then(() => {
+        if (!linkEmbedImage.checked || imageBytes) showToast('Link copied!');
+    }).catch(() => {
+        showToast('Failed to copy');
+    });
+}
+
+// Apply a permalink fragment. Resolves to true if it carried an image (which is then loading).
+async function loadPermalink(hash) {
+    let link;
+    try {
+        link = await decodePermalink(hash);
+    } catch (e) {
+        console.warn('Invalid settings link:', e);
+        showToast('This link could not be read; using default settings');
+        return false;
+    }
+    if (!link) return false;
+
+    if (link.ignored.length) {
+        console.warn('Ignored link settings:', link.ignored);
+    }
+    applySettings(link.settings, !!link.image);
+    settingsPreset.value = '';
+    updateSettingsDeleteButtonVisibility();
+    if (link.image) {
+        loadImage(link.image);
+    }
+
+    // Drop the fragment so later edits don't leave a stale link in the address bar
+    history.replaceState(null, '', location.pathname + location.search);
+    return !!link.image;
+}
+
 // Measure character cell dimensions
 function measureCharCell() {
     const span = document.createElement('span');
@@ -2677,115 +3671,162 @@ function getCharRatio() {
     return parseFloat(charRatio.value) || 0.5;
 }
 
-// Render ASCII to canvas (fast, no DOM overhead)
-function renderToCanvas(ascii, colorData, width, height) {
+// Options for createCanvasRenderer, read from the current settings
+function getCanvasRenderOptions() {
     const mode = colorMode.value;
-    const font = fontFamily.value;
-    const size = parseInt(fontSize.value);
-    const ratio = getCharRatio();
+    return {
+        renderer: canvasRenderer,
+        fontFamily: fontFamily.value,
+        fontSize: parseInt(fontSize.value),
+        charRatio: getCharRatio(),
+        chars: customChars.value,
+        background: mode === 'monochrome'
+            ? monoBg.value
+            : getComputedStyle(document.body).getPropertyValue('--bg-primary').trim() || '#1a1a2e',
+        // Two-color block modes: glyphs drawn as exact rectangles
+        drawBlocks: algorithm.value === 'halfblock' || algorithm.value === 'quadrant',
+        fg: hexToRgb(monoFg.value),
+        baseOpacity: parseInt(globalOpacity.value) / 100
+    };
+}
 
-    // Calculate character dimensions
-    const charWidth = size * ratio;
-    const charHeight = size;
+// Set CSS size to match internal resolution (prevents flex stretching on mobile)
+function setCanvasCssSize(canvas, width, height, options) {
+    const { canvasWidth, canvasHeight } = canvasPixelSize(width, height, options);
+    canvas.style.width = canvasWidth + 'px';
+    canvas.style.height = canvasHeight + 'px';
+}
 
-    // Size canvas
-    const canvasWidth = Math.ceil(width * charWidth);
-    const canvasHeight = height * charHeight;
+// Render ASCII to canvas (fast, no DOM overhead)
+const mainCanvasRenderer = createCanvasRenderer(asciiCanvas);
 
-    if (asciiCanvas.width !== canvasWidth || asciiCanvas.height !== canvasHeight) {
-        asciiCanvas.width = canvasWidth;
-        asciiCanvas.height = canvasHeight;
-        // Set CSS size to match internal resolution (prevents flex stretching on mobile)
-        asciiCanvas.style.width = canvasWidth + 'px';
-        asciiCanvas.style.height = canvasHeight + 'px';
-    }
+function renderToCanvas(ascii, colorData, width, height) {
+    const options = getCanvasRenderOptions();
+    mainCanvasRenderer.render(ascii, colorData, width, height, options);
+    setCanvasCssSize(asciiCanvas, width, height, options);
+}
 
-    // Set up context
-    asciiCanvasCtx.font = `${size}px ${font}`;
-    asciiCanvasCtx.textBaseline = 'top';
+// Canvas renderer for video and webcam: 'atlas' copies glyphs from a pre-rendered atlas
+// and tints them by compositing, 'text' calls fillText per cell. Clicking the FPS
+// counter switches between them so their frame rates can be compared.
+let canvasRenderer = 'atlas';
+const rendererStats = { atlas: null, text: null };
+let renderTimeTotal = 0;
+
+// Frame rate of rendered video/webcam frames, updated about once a second, with the
+// last measurement of the other renderer for comparison
+function updateFpsDisplay(timestamp) {
+    const elapsed = timestamp - fpsUpdateTime;
+    if (elapsed < 1000) return;
+
+    currentFps = Math.round(frameCount * 1000 / elapsed);
+    rendererStats[canvasRenderer] = {
+        fps: currentFps,
+        drawMs: frameCount ? renderTimeTotal / frameCount : 0
+    };
+    frameCount = 0;
+    renderTimeTotal = 0;
+    fpsUpdateTime = timestamp;
 
-    // Clear with background color
-    if (mode === 'monochrome') {
-        asciiCanvasCtx.fillStyle = monoBg.value;
-    } else {
-        asciiCanvasCtx.fillStyle = getComputedStyle(document.body).getPropertyValue('--bg-primary').trim() || '#1a1a2e';
-    }
-    asciiCanvasCtx.fillRect(0, 0, canvasWidth, canvasHeight);
-
-    // Get monochrome foreground color if needed
-    const fg = monoFg.value;
-    const fgR = parseInt(fg.slice(1, 3), 16);
-    const fgG = parseInt(fg.slice(3, 5), 16);
-    const fgB = parseInt(fg.slice(5, 7), 16);
-
-    // Render characters
-    let lineStart = 0;
-    for (let y = 0; y < height; y++) {
-        const py = y * charHeight;
-
-        for (let x = 0; x < width; x++) {
-            const idx = y * width + x;
-            const charCode = ascii.charCodeAt(lineStart + x);
-            if (charCode === 10 || isNaN(charCode)) continue;
-
-            const char = String.fromCharCode(charCode);
-            const px = x * charWidth;
-
-            // Set color
-            if (colorData && colorData.colorR) {
-                // Full color mode
-                const r = colorData.colorR[idx];
-                const g = colorData.colorG[idx];
-                const b = colorData.colorB[idx];
-                const a = colorData.opacities[idx];
-                asciiCanvasCtx.fillStyle = `rgba(${r},${g},${b},${a.toFixed(2)})`;
-            } else if (colorData && colorData.opacities) {
-                // Monochrome with brightness opacity
-                const a = colorData.opacities[idx];
-                asciiCanvasCtx.fillStyle = `rgba(${fgR},${fgG},${fgB},${a.toFixed(2)})`;
-            } else {
-                // Plain monochrome
-                const baseOpacity = parseInt(globalOpacity.value) / 100;
-                asciiCanvasCtx.fillStyle = `rgba(${fgR},${fgG},${fgB},${baseOpacity})`;
-            }
+    const parts = Object.entries(rendererStats)
+        .filter(([, stats]) => stats)
+        .map(([name, stats]) => `${name === canvasRenderer ? '▸' : ''}${name === 'atlas' ? 'atlas' : 'fillText'} ${stats.fps} FPS, ${stats.drawMs.toFixed(1)} ms`);
+    videoFps.textContent = `FPS: ${currentFps} (${parts.join(' · ')})`;
+}
 
-            asciiCanvasCtx.fillText(char, px, py);
-        }
-        lineStart += width + 1; // +1 for newline
-    }
+function toggleCanvasRenderer() {
+    canvasRenderer = canvasRenderer === 'atlas' ? 'text' : 'atlas';
+    // Start a fresh measurement period for the new renderer
+    frameCount = 0;
+    renderTimeTotal = 0;
+    fpsUpdateTime = performance.now();
+    showToast(`Canvas renderer: ${canvasRenderer === 'atlas' ? 'glyph atlas' : 'fillText'}`);
 }
 
-// Show/hide canvas vs HTML output
-function setCanvasMode(enabled) {
+// Show/hide canvas vs HTML output (canvas is #ascii-canvas or the worker's canvas)
+function setCanvasMode(enabled, canvas = asciiCanvas) {
     if (enabled) {
         asciiOutput.style.display = 'none';
-        asciiCanvas.style.display = 'block';
+        asciiCanvas.style.display = canvas === asciiCanvas ? 'block' : 'none';
     } else {
         asciiOutput.style.display = '';
         asciiCanvas.style.display = 'none';
     }
+    if (workerCanvas) {
+        workerCanvas.style.display = enabled && canvas === workerCanvas ? 'block' : 'none';
+    }
+}
+
+// Time the color pass of the last frame in the worker (JS fallback vs WASM)
+function runColorBenchmark() {
+    if (!asciiWorker || !currentImage) {
+        showToast('Load an image first');
+        return;
+    }
+    colorBenchmarkResult.textContent = 'Measuring...';
+    asciiWorker.postMessage({ type: 'benchmarkColors' });
+}
+
+function showColorBenchmark(result, error) {
+    if (error) {
+        colorBenchmarkResult.textContent = `Benchmark failed: ${error}`;
+        return;
+    }
+    if (!result) {
+        colorBenchmarkResult.textContent = 'Pick a color mode to benchmark';
+        return;
+    }
+    const { cells, jsMs, wasmMs, match } = result;
+    let text = `${cells.toLocaleString()} chars · JS ${jsMs.toFixed(2)} ms`;
+    text += ` · WASM ${wasmMs.toFixed(2)} ms (${(jsMs / wasmMs).toFixed(1)}×)`;
+    if (!match) text += ' · outputs differ';
+    colorBenchmarkResult.textContent = text;
 }
 
 // Handle worker response
 function handleWorkerMessage(e) {
-    const { type, ascii, html, colorData, width, height, duration } = e.data;
+    const { type, ascii, html, colorData, histogram, width, height, duration, rendered, renderMs } = e.data;
 
     if (type === 'result') {
         workerBusy = false;
+
+        if (histogram) {
+            toneHistogram = histogram;
+            drawToneCurve();
+        }
+
+        // Frame requested by the offline video export
+        if (exportFrameResolve) {
+            const resolve = exportFrameResolve;
+            exportFrameResolve = null;
+            exportFrameReject = null;
+            resolve(e.data);
+            return;
+        }
+
         const asciiContainer = asciiOutput.parentElement;
         const mode = colorMode.value;
 
         // Canvas mode (video playback/webcam - always use canvas for live feed)
         if (isVideoPlaying || isWebcamActive) {
-            setCanvasMode(true);
-            renderToCanvas(ascii, colorData, width, height);
+            if (rendered) {
+                // Already painted by the worker
+                setCanvasMode(true, workerCanvas);
+                setCanvasCssSize(workerCanvas, width, height, { fontSize: parseInt(fontSize.value), charRatio: getCharRatio() });
+                renderTimeTotal += renderMs;
+            } else {
+                setCanvasMode(true);
+                const renderStart = performance.now();
+                renderToCanvas(ascii, colorData, width, height);
+                renderTimeTotal += performance.now() - renderStart;
+            }
+            frameCount++;
             if (mode === 'monochrome') {
                 asciiContainer.style.backgroundColor = monoBg.value;
             } else {
                 asciiContainer.style.backgroundColor = '';
             }
             // Store ASCII for when video pauses
-            lastAscii = ascii;
             lastWidth = width;
             lastHeight = height;
         }
@@ -2831,20 +3872,18 @@ function handleWorkerMessage(e) {
             needsInitialAutoFit = false;
             calculateAutoFitFontSize();
         }
+    } else if (type === 'benchmark') {
+        showColorBenchmark(e.data.result, e.data.error);
     }
 }
 
 // Store last frame data for re-rendering when video pauses
-let lastAscii = '';
 let lastWidth = 0;
 let lastHeight = 0;
 
 // ASCII conversion dispatcher
 function convertToAscii() {
-    if (!currentImage) return;
-
-    const mode = colorMode.value;
-    const width = parseInt(charsPerRow.value);
+    if (!currentImage || isExporting) return;
 
     // Use worker for conversion
     if (asciiWorker) {
@@ -2855,176 +3894,63 @@ function convertToAscii() {
         }
 
         workerBusy = true;
-
-        // Get image data
-        const { imageData, height } = getScaledImageData(currentImage, width);
-        const pixels = imageData.data;
-
-        // Prepare settings for worker
-        const fg = monoFg.value;
-        const settings = {
-            chars: customChars.value || '@%#*+=-:. ',
-            invert: invertBrightness.checked,
-            contrast: parseInt(contrastAmount.value) / 100,
-            histogram: contrastHistogram.checked,
-            colorMode: mode,
-            saturation: parseInt(colorSaturation.value) / 100,
-            blend: parseInt(brightnessBlend.value) / 100,
-            baseOpacity: parseInt(globalOpacity.value) / 100,
-            brightnessOpacity: brightnessOpacity.checked,
-            fgR: parseInt(fg.slice(1, 3), 16),
-            fgG: parseInt(fg.slice(3, 5), 16),
-            fgB: parseInt(fg.slice(5, 7), 16)
-        };
-
-        // Send to worker (transfer pixel buffer for zero-copy)
-        // Use canvas mode during video playback for better performance
-        const pixelsCopy = new Uint8ClampedArray(pixels);
-        asciiWorker.postMessage({
-            type: 'convert',
-            pixels: pixelsCopy,
-            width,
-            height,
-            settings,
-            ansi256Palette: ANSI_256,
-            canvasMode: isVideoPlaying || isWebcamActive
-        }, [pixelsCopy.buffer]);
+        postConversion(isVideoPlaying || isWebcamActive);
     }
 }
 
+// Sample currentImage and send it to the worker (canvasMode returns per-cell color arrays)
+function postConversion(canvasMode) {
+    const width = parseInt(charsPerRow.value);
 
-// Apply color to ASCII output (pixels passed in to avoid duplicate getScaledImageData)
-// Optimized with Array.join() and span combining for adjacent same-color chars
-function applyColorToAscii(ascii, width, height, pixels, brightnessData) {
-    const mode = colorMode.value;
-
-    // Monochrome mode - just return plain text
-    if (mode === 'monochrome') {
-        return null;
-    }
-    const saturation = parseInt(colorSaturation.value) / 100;
-    const blend = parseInt(brightnessBlend.value) / 100;
-    const baseOpacity = parseInt(globalOpacity.value) / 100;
-    const useBrightnessOpacity = brightnessOpacity.checked;
-    const invert = invertBrightness.checked;
-
-    // Get or build palette
-    let palette = null;
-    if (mode === 'ansi256') {
-        palette = ANSI_256;
-    } else if (mode.startsWith('adaptive')) {
-        const numColors = parseInt(mode.replace('adaptive', ''));
-        // Cache palette for performance (invalidate when saturation changes)
-        if (!cachedPalette || cachedPalette.numColors !== numColors || cachedPalette.saturation !== saturation) {
-            cachedPalette = {
-                numColors,
-                saturation,
-                colors: quantizeColors(pixels, numColors, saturation)
-            };
-        }
-        palette = cachedPalette.colors;
-    }
-
-    const lines = ascii.split('\n');
-    const parts = []; // Use array for O(n) concatenation
-
-    // Helper to get color string
-    function getColorString(r, g, b, opacity) {
-        if (opacity < 1) {
-            return `rgba(${r},${g},${b},${opacity.toFixed(2)})`;
-        }
-        return `rgb(${r},${g},${b})`;
-    }
-
-    for (let y = 0; y < height; y++) {
-        let currentColor = null;
-        let currentChars = '';
-
-        for (let x = 0; x < width; x++) {
-            const char = lines[y] ? lines[y][x] : ' ';
-            if (!char) continue;
-
-            const i = (y * width + x) * 4;
-            let r = pixels[i];
-            let g = pixels[i + 1];
-            let b = pixels[i + 2];
-
-            // Map to palette if not true color
-            if (palette) {
-                const nearest = nearestColor(r, g, b, palette);
-                r = nearest[0];
-                g = nearest[1];
-                b = nearest[2];
-            }
-
-            // Apply saturation
-            if (saturation !== 1) {
-                const gray = 0.299 * r + 0.587 * g + 0.114 * b;
-                r = Math.round(gray + saturation * (r - gray));
-                g = Math.round(gray + saturation * (g - gray));
-                b = Math.round(gray + saturation * (b - gray));
-            }
-
-            // Apply brightness blend
-            if (blend !== 0.5 && brightnessData) {
-                const charBrightness = brightnessData[y * width + x];
-                const adjustedBlend = (blend - 0.5) * 2;
-                let factor;
-                if (adjustedBlend >= 0) {
-                    factor = 1 - adjustedBlend * (1 - charBrightness);
-                } else {
-                    factor = 1 + Math.abs(adjustedBlend) * (1 - charBrightness);
-                }
-                r = Math.round(r * factor);
-                g = Math.round(g * factor);
-                b = Math.round(b * factor);
-            }
-
-            // Clamp values
-            r = Math.max(0, Math.min(255, r));
-            g = Math.max(0, Math.min(255, g));
-            b = Math.max(0, Math.min(255, b));
-
-            // Calculate opacity
-            let opacity = baseOpacity;
-            if (useBrightnessOpacity && brightnessData) {
-                let charBrightness = brightnessData[y * width + x];
-                if (invert) {
-                    charBrightness = 1 - charBrightness;
-                }
-                opacity *= (1 - charBrightness);
-            }
-
-            const colorStr = getColorString(r, g, b, opacity);
-
-            // Combine adjacent same-color characters into single span
-            if (colorStr === currentColor) {
-                currentChars += escapeHtml(char);
-            } else {
-                // Flush previous span
-                if (currentColor !== null) {
-                    parts.push(`<span style="color:${currentColor}">${currentChars}</span>`);
-                }
-                currentColor = colorStr;
-                currentChars = escapeHtml(char);
-            }
-        }
+    // Get image data (sampled at sub-pixel resolution for modes like Braille)
+    const [subX, subY] = SUB_CELL_GRIDS[algorithm.value] || [1, 1];
+    const { imageData, height } = getScaledImageData(currentImage, width, subX, subY);
+    const pixels = imageData.data;
 
-        // Flush last span of the line
-        if (currentColor !== null) {
-            parts.push(`<span style="color:${currentColor}">${currentChars}</span>`);
+    // Prepare settings for worker
+    const settings = toConvertSettings(getCurrentSettings());
+
+    // Shape matching needs glyph bitmaps; send them once per font/ratio/charset
+    if (settings.algorithm === 'shape') {
+        const glyphs = getGlyphBitmaps(settings.chars, fontFamily.value, getCharRatio());
+        if (glyphs.key !== workerGlyphKey) {
+            asciiWorker.postMessage({
+                type: 'setGlyphs',
+                key: glyphs.key,
+                chars: glyphs.chars,
+                grid: glyphs.grid,
+                bitmaps: glyphs.bitmaps
+            });
+            workerGlyphKey = glyphs.key;
         }
-        parts.push('\n');
+        settings.glyphKey = glyphs.key;
     }
 
-    return parts.join('');
+    // Send to worker (transfer pixel buffer for zero-copy)
+    // Use canvas mode during video playback for better performance
+    const pixelsCopy = new Uint8ClampedArray(pixels);
+    asciiWorker.postMessage({
+        type: 'convert',
+        pixels: pixelsCopy,
+        width,
+        height,
+        settings,
+        canvasMode,
+        histogram: wantToneHistogram(),
+        // Paint in the worker too when it owns an output canvas
+        render: canvasMode && useWorkerCanvas() ? getCanvasRenderOptions() : null
+    }, [pixelsCopy.buffer]);
 }
 
+
 // Get scaled image data (reuses canvas for performance)
-function getScaledImageData(img, width) {
+// subX/subY sample several pixels per character cell; height is always in cells
+function getScaledImageData(img, width, subX = 1, subY = 1) {
     const ratio = getCharRatio();
     const imgAspect = img.height / img.width;
     const height = Math.max(1, Math.round(width * imgAspect * ratio));
+    const pixelWidth = width * subX;
+    const pixelHeight = height * subY;
 
     // Reuse canvas if possible, create if needed
     if (!scalingCanvas) {
@@ -3033,9 +3959,9 @@ function getScaledImageData(img, width) {
     }
 
     // Resize only if dimensions changed
-    if (scalingCanvas.width !== width || scalingCanvas.height !== height) {
-        scalingCanvas.width = width;
-        scalingCanvas.height = height;
+    if (scalingCanvas.width !== pixelWidth || scalingCanvas.height !== pixelHeight) {
+        scalingCanvas.width = pixelWidth;
+        scalingCanvas.height = pixelHeight;
     }
 
     // Support video proxy objects with _source property
@@ -3046,103 +3972,19 @@ function getScaledImageData(img, width) {
     if (shouldMirror) {
         scalingCtx.save();
         scalingCtx.scale(-1, 1);
-        scalingCtx.drawImage(source, -width, 0, width, height);
+        scalingCtx.drawImage(source, -pixelWidth, 0, pixelWidth, pixelHeight);
         scalingCtx.restore();
     } else {
-        scalingCtx.drawImage(source, 0, 0, width, height);
+        scalingCtx.drawImage(source, 0, 0, pixelWidth, pixelHeight);
     }
 
     return {
-        imageData: scalingCtx.getImageData(0, 0, width, height),
+        imageData: scalingCtx.getImageData(0, 0, pixelWidth, pixelHeight),
         width,
         height
     };
 }
 
-// Algorithm: Brightness Mapping
-function brightnessMapping(img) {
-    const width = parseInt(charsPerRow.value);
-    const { imageData, height } = getScaledImageData(img, width);
-    const pixels = imageData.data;
-
-    let chars = customChars.value || CHAR_SETS.standard;
-
-    if (invertBrightness.checked) {
-        chars = chars.split('').reverse().join('');
-    }
-
-    // Calculate brightness values
-    const brightnessValues = new Float32Array(width * height);
-    for (let i = 0; i < width * height; i++) {
-        const pi = i * 4;
-        brightnessValues[i] = getBrightness(pixels[pi], pixels[pi + 1], pixels[pi + 2]);
-    }
-
-    // Apply contrast pre-processing
-    applyContrast(brightnessValues);
-
-    let ascii = '';
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const brightness = brightnessValues[y * width + x];
-            const charIndex = Math.min(chars.length - 1, Math.floor(brightness * chars.length));
-            ascii += chars[charIndex];
-        }
-        ascii += '\n';
-    }
-
-    return { ascii, width, height };
-}
-
-// Contrast pre-processing helper
-function applyContrast(brightness) {
-    const contrast = parseInt(contrastAmount.value) / 100;
-    const useHistogram = contrastHistogram.checked;
-
-    // Skip if no adjustments needed
-    if (contrast === 1 && !useHistogram) {
-        return brightness;
-    }
-
-    // Histogram equalization
-    if (useHistogram) {
-        const histogram = new Array(256).fill(0);
-        for (let i = 0; i < brightness.length; i++) {
-            const bin = Math.floor(brightness[i] * 255);
-            histogram[bin]++;
-        }
-
-        const cdf = new Array(256);
-        cdf[0] = histogram[0];
-        for (let i = 1; i < 256; i++) {
-            cdf[i] = cdf[i - 1] + histogram[i];
-        }
-
-        const cdfMin = cdf.find(v => v > 0);
-        const total = brightness.length;
-        for (let i = 0; i < brightness.length; i++) {
-            const bin = Math.floor(brightness[i] * 255);
-            brightness[i] = (cdf[bin] - cdfMin) / (total - cdfMin);
-        }
-    }
-
-    // Apply contrast adjustment
-    if (contrast !== 1) {
-        for (let i = 0; i < brightness.length; i++) {
-            let b = brightness[i];
-            b = (b - 0.5) * contrast + 0.5;
-            brightness[i] = Math.max(0, Math.min(1, b));
-        }
-    }
-
-    return brightness;
-}
-
-// Utility functions
-function getBrightness(r, g, b) {
-    return (0.299 * r + 0.587 * g + 0.114 * b) / 255;
-}
-
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -3208,6 +4050,162 @@ function copyAsMarkdown() {
     });
 }
 
+// Split the current output into rows of cells { char, fg: [r, g, b, alpha], bg: [r, g, b] | null }
+function getOutputCells() {
+    const isMono = colorMode.value === 'monochrome';
+    const isColored = !isMono && lastColoredHtml;
+    const defaultFg = hexToRgb(isMono ? monoFg.value : (isDarkMode() ? '#f0f0f0' : '#000000'));
+    const rows = [[]];
+
+    const pushText = (text, fg, bg) => {
+        for (const char of text) {
+            if (char === '\n') {
+                rows.push([]);
+            } else {
+                rows[rows.length - 1].push({ char, fg, bg });
+            }
+        }
+    };
+
+    if (isColored || (isMono && brightnessOpacity.checked && lastColoredHtml)) {
+        const tempDiv = document.createElement('div');
+        tempDiv.innerHTML = lastColoredHtml;
+        for (const node of tempDiv.childNodes) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                pushText(node.textContent, [...defaultFg, 1], null);
+            } else if (node.tagName === 'SPAN') {
+                const fgMatch = node.style.color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
+                const bgMatch = node.style.backgroundColor.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+                const fg = fgMatch
+                    ? [+fgMatch[1], +fgMatch[2], +fgMatch[3], fgMatch[4] !== undefined ? parseFloat(fgMatch[4]) : 1]
+                    : [...defaultFg, 1];
+                const bg = bgMatch ? [+bgMatch[1], +bgMatch[2], +bgMatch[3]] : null;
+                pushText(node.textContent, fg, bg);
+            }
+        }
+    } else {
+        pushText(asciiOutput.textContent, [...defaultFg, parseInt(globalOpacity.value) / 100], null);
+    }
+
+    while (rows.length && rows[rows.length - 1].length === 0) {
+        rows.pop();
+    }
+    return rows;
+}
+
+// Current output as ANSI text at the selected color depth
+function getAnsiText() {
+    const isMono = colorMode.value === 'monochrome';
+    const outputBg = hexToRgb(isMono ? monoBg.value : (isDarkMode() ? '#0d0d0d' : '#ffffff'));
+    return buildAnsiText(getOutputCells(), {
+        depth: ansiDepth.value,
+        outputBg,
+        // Monochrome has an explicit background color; other modes only have per-cell ones
+        fillBg: isMono ? outputBg : null
+    });
+}
+
+function copyAsAnsi() {
+    const text = getAnsiText();
+    if (!text) {
+        showToast('Nothing to copy');
+        return;
+    }
+
+    navigator.clipboard.writeText(text).then(() => {
+        showToast('Copied as ANSI!');
+    }).catch(() => {
+        showToast('Failed to copy');
+    });
+}
+
+function downloadAsAnsi(extension) {
+    const text = getAnsiText();
+    if (!text) {
+        showToast('Nothing to download');
+        return;
+    }
+
+    const blob = new Blob([text], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ascii-art.${extension}`;
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showToast(`Downloaded as .${extension}!`);
+}
+
+// Read the selected font file through the Local Font Access API (Chromium only)
+async function getEmbeddedFontFace() {
+    const font = CANDIDATE_FONTS.find(f => f.value === fontFamily.value);
+    if (!font || !window.queryLocalFonts) return null;
+
+    const fonts = await window.queryLocalFonts();
+    const matches = fonts.filter(f => f.family === font.name);
+    const data = matches.find(f => f.style === 'Regular') || matches[0];
+    if (!data) return null;
+
+    const blob = await data.blob();
+    const dataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+    return `@font-face { font-family: '${font.name}'; src: url(${dataUrl}); }`;
+}
+
+// Current output as SVG (background skipped for brightness-as-opacity, like PNG export)
+function getSvgText(fontFace) {
+    const isMono = colorMode.value === 'monochrome';
+    const size = parseInt(fontSize.value);
+    return buildSvg(getOutputCells(), {
+        fontFamily: fontFamily.value,
+        fontSize: size,
+        charWidth: size * getCharRatio(),
+        background: brightnessOpacity.checked ? null : (isMono ? monoBg.value : (isDarkMode() ? '#0d0d0d' : '#ffffff')),
+        fontFace
+    });
+}
+
+async function downloadAsSvg() {
+    let fontFace = null;
+    if (svgEmbedFont.checked) {
+        try {
+            fontFace = await getEmbeddedFontFace();
+        } catch (e) {
+            console.warn('Font embedding failed:', e);
+        }
+        if (!fontFace) {
+            showToast('Font could not be embedded, using font name only');
+        }
+    }
+
+    const svg = getSvgText(fontFace);
+    if (!svg) {
+        showToast('Nothing to download');
+        return;
+    }
+
+    const blob = new Blob([svg], { type: 'image/svg+xml' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'ascii-art.svg';
+    a.style.display = 'none';
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showToast('Downloaded as SVG!');
+}
+
 function downloadAsPng() {
     const text = asciiOutput.textContent;
     if (!text && !lastColoredHtml) {
@@ -3282,6 +4280,12 @@ function downloadAsPng() {
             } else if (node.tagName === 'SPAN') {
                 const color = node.style.color || (isDarkMode() ? '#f0f0f0' : '#000000');
                 const text = node.textContent;
+                // Per-cell background (two-color block modes)
+                if (node.style.backgroundColor) {
+                    ctx.globalAlpha = 1;
+                    ctx.fillStyle = node.style.backgroundColor;
+                    ctx.fillRect(x, y, [...text].length * charWidth, charHeight);
+                }
                 // Parse rgba to extract alpha for canvas
                 const rgbaMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
                 if (rgbaMatch) {
@@ -3390,6 +4394,11 @@ async function shareAsPng() {
             } else if (node.tagName === 'SPAN') {
                 const color = node.style.color || (isDarkMode() ? '#f0f0f0' : '#000000');
                 const spanText = node.textContent;
+                if (node.style.backgroundColor) {
+                    ctx.globalAlpha = 1;
+                    ctx.fillStyle = node.style.backgroundColor;
+                    ctx.fillRect(x, y, [...spanText].length * charWidth, charHeight);
+                }
                 const rgbaMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
                 if (rgbaMatch) {
                     const alpha = rgbaMatch[4] !== undefined ? parseFloat(rgbaMatch[4]) : 1;
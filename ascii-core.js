@@ -0,0 +1,2064 @@
+// ASCII Conversion Core
+// DOM-free conversion pipeline shared by the web worker, the main-thread
+// fallback in app.js and Node scripts. Uses WebAssembly for performance-critical
+// operations when initWasm() has loaded the module, JS otherwise.
+
+// WASM module state
+let wasm = null;
+let wasmMemory = null;
+let wasmBuffer = null;
+let wasmFloatBuffer = null;
+
+// Exports the JS side relies on. A binary missing any of them is out of date with
+// wasm-src (rebuild it with `make wasm`) and isn't used.
+const WASM_EXPORTS = [
+    'memory', 'reserve_buffers', 'get_buffer_ptr', 'get_buffer_len', 'get_float_buffer_ptr', 'get_float_buffer_len',
+    'calc_brightness_batch', 'apply_contrast', 'apply_histogram_eq', 'apply_clahe', 'apply_tone_lut',
+    'compute_cell_colors', 'generate_ascii', 'detect_edges', 'apply_dither', 'dither_palette',
+    'kmeans_oklab', 'snap_palette_oklab'
+];
+
+// Load WASM module. Browsers fetch it next to this file, Node reads it from disk;
+// pass a URL, path or the raw bytes to load it from somewhere else.
+export async function initWasm(source = new URL('./ascii-wasm.wasm', import.meta.url)) {
+    try {
+        let bytes;
+        if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+            bytes = source;
+        } else if (typeof process !== 'undefined' && process.versions?.node) {
+            const { readFile } = await import('node:fs/promises');
+            bytes = await readFile(source);
+        } else {
+            const response = await fetch(source);
+            bytes = await response.arrayBuffer();
+        }
+        const module = await WebAssembly.instantiate(bytes, {});
+        const missing = WASM_EXPORTS.filter(name => !(name in module.instance.exports));
+        if (missing.length) {
+            throw new Error(`ascii-wasm.wasm is out of date (missing ${missing.join(', ')}); rebuild it with make wasm`);
+        }
+        wasm = module.instance.exports;
+
+        // Buffers are reserved per conversion (see reserveWasmBuffers)
+        wasmMemory = wasm.memory;
+        wasmBuffer = null;
+        wasmFloatBuffer = null;
+        return true;
+    } catch (e) {
+        console.warn('WASM load failed, using JS fallback:', e);
+        wasm = null;
+        return false;
+    }
+}
+
+// Make sure the WASM buffers hold byteLength bytes and floatLength floats, growing WASM
+// memory if needed. Growing detaches every view of the old memory and may move the
+// buffers (without their contents), so the views are rebuilt here: reserve before
+// writing a step's input, and don't keep views across reserves.
+// Returns false when the buffers can't be made that large (use the JS path).
+function reserveWasmBuffers(byteLength, floatLength) {
+    if (wasmBuffer && byteLength <= wasmBuffer.length && floatLength <= wasmFloatBuffer.length) {
+        return true;
+    }
+    if (!wasm.reserve_buffers(byteLength, floatLength)) return false;
+    wasmBuffer = new Uint8Array(wasmMemory.buffer, wasm.get_buffer_ptr(), wasm.get_buffer_len());
+    wasmFloatBuffer = new Float32Array(wasmMemory.buffer, wasm.get_float_buffer_ptr(), wasm.get_float_buffer_len());
+    return true;
+}
+
+// Pre-built escape lookup table for all ASCII chars (0-127)
+// Most chars return themselves, only &<>"' need escaping
+const escapeTable = new Array(128);
+for (let i = 0; i < 128; i++) {
+    escapeTable[i] = String.fromCharCode(i);
+}
+escapeTable[38] = '&amp;';   // &
+escapeTable[60] = '&lt;';    // <
+escapeTable[62] = '&gt;';    // >
+escapeTable[34] = '&quot;';  // "
+escapeTable[39] = '&#039;';  // '
+
+// Fast single-char escape using lookup table
+function escapeChar(char) {
+    const code = char.charCodeAt(0);
+    return code < 128 ? escapeTable[code] : char;
+}
+
+// Color string cache - avoids creating new strings for same colors
+const colorCache = new Map();
+const COLOR_CACHE_MAX = 50000;
+
+function getColorString(r, g, b, opacity) {
+    // Create cache key: pack RGBA into single number
+    // opacity is 0-100 (2 decimal precision)
+    const opacityInt = Math.round(opacity * 100);
+    const key = (opacityInt << 24) | (r << 16) | (g << 8) | b;
+
+    let cached = colorCache.get(key);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    // Generate color string
+    let colorStr;
+    if (opacityInt < 100) {
+        colorStr = `rgba(${r},${g},${b},${(opacityInt / 100).toFixed(2)})`;
+    } else {
+        colorStr = `rgb(${r},${g},${b})`;
+    }
+
+    // Cache with size limit
+    if (colorCache.size >= COLOR_CACHE_MAX) {
+        colorCache.clear();
+    }
+    colorCache.set(key, colorStr);
+
+    return colorStr;
+}
+
+// ============================================
+// REUSABLE BUFFER POOL - Reduces GC pressure
+// ============================================
+// Pre-allocated buffers that grow as needed but never shrink
+let poolColorR = null;
+let poolColorG = null;
+let poolColorB = null;
+let poolOpacities = null;
+let poolBrightnessValues = null;
+let poolEdgeCodes = null;
+let poolDitheredValues = null;
+let poolDitheredPixels = null;
+let poolCurrentSize = 0;
+
+function ensureBufferPool(pixelCount) {
+    if (poolCurrentSize >= pixelCount) {
+        return; // Buffers are already large enough
+    }
+
+    // Allocate with some extra room to avoid frequent reallocations
+    const newSize = Math.max(pixelCount, poolCurrentSize * 2, 1024 * 1024);
+
+    poolColorR = new Uint8Array(newSize);
+    poolColorG = new Uint8Array(newSize);
+    poolColorB = new Uint8Array(newSize);
+    poolOpacities = new Float32Array(newSize);
+    poolBrightnessValues = new Float32Array(newSize);
+    poolEdgeCodes = new Uint8Array(newSize);
+    poolDitheredValues = new Float32Array(newSize);
+    poolDitheredPixels = new Uint8ClampedArray(newSize * 4);
+    poolCurrentSize = newSize;
+}
+
+// Sub-pixel buffers for modes that sample several pixels per character cell
+let poolSubBrightness = null;
+let poolSubInk = null;
+let poolCellPixels = null;
+let poolCellBgPixels = null;
+let poolSubSize = 0;
+let poolCellSize = 0;
+
+function ensureSubCellPool(cellCount, subCount) {
+    if (poolSubSize < subCount) {
+        poolSubSize = Math.max(subCount, poolSubSize * 2);
+        poolSubBrightness = new Float32Array(poolSubSize);
+        poolSubInk = new Float32Array(poolSubSize);
+    }
+    if (poolCellSize < cellCount) {
+        poolCellSize = Math.max(cellCount, poolCellSize * 2);
+        poolCellPixels = new Uint8ClampedArray(poolCellSize * 4);
+        poolCellBgPixels = new Uint8ClampedArray(poolCellSize * 4);
+    }
+}
+
+// JS fallback functions
+function getBrightness(r, g, b) {
+    return (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+}
+
+function nearestColor(r, g, b, palette) {
+    let minDist = Infinity;
+    let nearest = palette[0];
+    for (const c of palette) {
+        const dr = r - c[0], dg = g - c[1], db = b - c[2];
+        const dist = dr * dr + dg * dg + db * db;
+        if (dist < minDist) {
+            minDist = dist;
+            nearest = c;
+        }
+    }
+    return nearest;
+}
+
+function applyContrastJS(brightness, contrast, useHistogram) {
+    if (contrast === 1 && !useHistogram) {
+        return brightness;
+    }
+
+    if (useHistogram) {
+        const histogram = new Array(256).fill(0);
+        for (let i = 0; i < brightness.length; i++) {
+            const bin = Math.floor(brightness[i] * 255);
+            histogram[bin]++;
+        }
+
+        const cdf = new Array(256);
+        cdf[0] = histogram[0];
+        for (let i = 1; i < 256; i++) {
+            cdf[i] = cdf[i - 1] + histogram[i];
+        }
+
+        const cdfMin = cdf.find(v => v > 0);
+        const total = brightness.length;
+        for (let i = 0; i < brightness.length; i++) {
+            const bin = Math.floor(brightness[i] * 255);
+            brightness[i] = (cdf[bin] - cdfMin) / (total - cdfMin);
+        }
+    }
+
+    if (contrast !== 1) {
+        for (let i = 0; i < brightness.length; i++) {
+            let b = brightness[i];
+            b = (b - 0.5) * contrast + 0.5;
+            brightness[i] = Math.max(0, Math.min(1, b));
+        }
+    }
+
+    return brightness;
+}
+
+// Edge direction codes (must match detect_edges in lib.rs)
+const EDGE_NONE = 0;
+const EDGE_HORIZONTAL = 1;
+const EDGE_VERTICAL = 2;
+const EDGE_DIAG1 = 3;
+const EDGE_DIAG2 = 4;
+const EDGE_CORNER = 5;
+const EDGE_CORNER_FLAG = 0x80;
+const TAN_22_5 = 0.41421356;
+
+// Sobel/Scharr edge detection on brightness values (JS fallback for detect_edges)
+function detectEdgesJS(brightness, width, height, scharr, threshold, codes) {
+    const outer = scharr ? 3 : 1;
+    const center = scharr ? 10 : 2;
+    const norm = scharr ? 16 : 4;
+    const thresholdSq = threshold * threshold * norm * norm;
+
+    for (let y = 0; y < height; y++) {
+        const up = (y > 0 ? y - 1 : 0) * width;
+        const mid = y * width;
+        const down = (y + 1 < height ? y + 1 : y) * width;
+
+        for (let x = 0; x < width; x++) {
+            const left = x > 0 ? x - 1 : 0;
+            const right = x + 1 < width ? x + 1 : x;
+
+            const tl = brightness[up + left], tc = brightness[up + x], tr = brightness[up + right];
+            const ml = brightness[mid + left], mr = brightness[mid + right];
+            const bl = brightness[down + left], bc = brightness[down + x], br = brightness[down + right];
+
+            const gx = outer * (tr - tl) + center * (mr - ml) + outer * (br - bl);
+            const gy = outer * (bl - tl) + center * (bc - tc) + outer * (br - tr);
+
+            let code = EDGE_NONE;
+            if (gx * gx + gy * gy >= thresholdSq) {
+                const ax = Math.abs(gx);
+                const ay = Math.abs(gy);
+                // Edges run perpendicular to the gradient
+                if (ay <= ax * TAN_22_5) {
+                    code = EDGE_VERTICAL;
+                } else if (ax <= ay * TAN_22_5) {
+                    code = EDGE_HORIZONTAL;
+                } else {
+                    code = (gx > 0) === (gy > 0) ? EDGE_DIAG1 : EDGE_DIAG2;
+                }
+            }
+            codes[mid + x] = code;
+        }
+    }
+
+    // Mark corners where horizontal and vertical edges meet
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = y * width + x;
+            if (codes[idx] === EDGE_NONE) continue;
+            const left = x > 0 ? codes[idx - 1] & ~EDGE_CORNER_FLAG : EDGE_NONE;
+            const right = x + 1 < width ? codes[idx + 1] & ~EDGE_CORNER_FLAG : EDGE_NONE;
+            const up = y > 0 ? codes[idx - width] & ~EDGE_CORNER_FLAG : EDGE_NONE;
+            const down = y + 1 < height ? codes[idx + width] & ~EDGE_CORNER_FLAG : EDGE_NONE;
+            if ((left === EDGE_HORIZONTAL || right === EDGE_HORIZONTAL) &&
+                (up === EDGE_VERTICAL || down === EDGE_VERTICAL)) {
+                codes[idx] |= EDGE_CORNER_FLAG;
+            }
+        }
+    }
+
+    for (let i = 0; i < width * height; i++) {
+        if (codes[i] & EDGE_CORNER_FLAG) codes[i] = EDGE_CORNER;
+    }
+
+    return codes;
+}
+
+// WASM-accelerated edge detection, returns one direction code per cell
+function detectEdges(brightnessValues, width, height, settings) {
+    const pixelCount = width * height;
+    const scharr = settings.edgeOperator === 'scharr';
+    const codes = poolEdgeCodes;
+
+    // Edge codes are written to BUFFER after the pixel data
+    const outputOffset = pixelCount * 4;
+    if (wasm && reserveWasmBuffers(outputOffset + pixelCount, pixelCount)) {
+        wasmFloatBuffer.set(brightnessValues.subarray(0, pixelCount));
+        wasm.detect_edges(width, height, scharr, settings.edgeThreshold, outputOffset);
+        codes.set(wasmBuffer.subarray(outputOffset, outputOffset + pixelCount));
+        return codes;
+    }
+
+    return detectEdgesJS(brightnessValues, width, height, scharr, settings.edgeThreshold, codes);
+}
+
+// Dither method codes (must match apply_dither / dither_palette in lib.rs)
+const DITHER_METHODS = {
+    'floyd-steinberg': 1,
+    'atkinson': 2,
+    'jarvis-judice-ninke': 3,
+    'bayer4': 4,
+    'bayer8': 5
+};
+const DITHER_BAYER4 = 4;
+const DITHER_BAYER8 = 5;
+
+// Error diffusion kernels as [dx, dy, weight]
+const DITHER_KERNELS = {
+    1: [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+    2: [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]],
+    3: [
+        [1, 0, 7 / 48], [2, 0, 5 / 48],
+        [-2, 1, 3 / 48], [-1, 1, 5 / 48], [0, 1, 7 / 48], [1, 1, 5 / 48], [2, 1, 3 / 48],
+        [-2, 2, 1 / 48], [-1, 2, 3 / 48], [0, 2, 5 / 48], [1, 2, 3 / 48], [2, 2, 1 / 48]
+    ]
+};
+
+const BAYER8 = [
+    [0, 32, 8, 40, 2, 34, 10, 42],
+    [48, 16, 56, 24, 50, 18, 58, 26],
+    [12, 44, 4, 36, 14, 46, 6, 38],
+    [60, 28, 52, 20, 62, 30, 54, 22],
+    [3, 35, 11, 43, 1, 33, 9, 41],
+    [51, 19, 59, 27, 49, 17, 57, 25],
+    [15, 47, 7, 39, 13, 45, 5, 37],
+    [63, 31, 55, 23, 61, 29, 53, 21]
+];
+
+// Ordered dither threshold in -0.5..0.5, anchored to cell coordinates
+// so the pattern does not move between video frames
+function bayerOffset(method, x, y) {
+    if (method === DITHER_BAYER4) {
+        // The 4x4 matrix is the 8x8 matrix sampled at even positions
+        return (BAYER8[(y & 3) * 2][(x & 3) * 2] + 0.5) / 16 - 0.5;
+    }
+    return (BAYER8[y & 7][x & 7] + 0.5) / 64 - 0.5;
+}
+
+// Dither brightness to the character ramp (JS fallback for apply_dither).
+// Each value becomes the center of its dithered level, so floor(value * levels)
+// yields the character index.
+function ditherBrightnessJS(values, width, height, levels, method) {
+    const step = 1 / levels;
+    const kernel = DITHER_KERNELS[method] || [];
+    const ordered = method === DITHER_BAYER4 || method === DITHER_BAYER8;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const value = values[i];
+            const shifted = ordered ? value + bayerOffset(method, x, y) * step : value;
+            const level = Math.max(0, Math.min(levels - 1, Math.floor(shifted * levels)));
+            const quantized = (level + 0.5) * step;
+            values[i] = quantized;
+
+            if (ordered) continue;
+            const err = value - quantized;
+            for (const [dx, dy, weight] of kernel) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx >= width || ny >= height) continue;
+                values[ny * width + nx] += err * weight;
+            }
+        }
+    }
+
+    return values;
+}
+
+// WASM-accelerated character ramp dithering, returns a dithered copy of the brightness values
+function ditherBrightness(brightnessValues, width, height, levels, method) {
+    const pixelCount = width * height;
+    const out = poolDitheredValues;
+
+    if (levels < 2) {
+        out.set(brightnessValues.subarray(0, pixelCount));
+        return out;
+    }
+
+    if (wasm && reserveWasmBuffers(0, pixelCount)) {
+        wasmFloatBuffer.set(brightnessValues.subarray(0, pixelCount));
+        wasm.apply_dither(width, height, levels, method);
+        out.set(wasmFloatBuffer.subarray(0, pixelCount));
+        return out;
+    }
+
+    out.set(brightnessValues.subarray(0, pixelCount));
+    return ditherBrightnessJS(out, width, height, levels, method);
+}
+
+// Ordered dither amplitude per channel: roughly the gap between palette colors
+function paletteDitherSpread(palette) {
+    return 256 / Math.cbrt(palette.length);
+}
+
+// Map pixels to the palette with dithering (JS fallback for dither_palette)
+function ditherToPaletteJS(pixels, width, height, palette, method, out) {
+    const pixelCount = width * height;
+    const kernel = DITHER_KERNELS[method] || [];
+    const ordered = method === DITHER_BAYER4 || method === DITHER_BAYER8;
+    const spread = paletteDitherSpread(palette);
+    const errors = ordered ? null : new Float32Array(pixelCount * 3);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const pi = i * 4;
+            let r = pixels[pi];
+            let g = pixels[pi + 1];
+            let b = pixels[pi + 2];
+
+            if (ordered) {
+                const offset = bayerOffset(method, x, y) * spread;
+                r += offset;
+                g += offset;
+                b += offset;
+            } else {
+                r += errors[i * 3];
+                g += errors[i * 3 + 1];
+                b += errors[i * 3 + 2];
+            }
+
+            const nearest = nearestColor(r, g, b, palette);
+            out[pi] = nearest[0];
+            out[pi + 1] = nearest[1];
+            out[pi + 2] = nearest[2];
+            out[pi + 3] = 255;
+
+            if (ordered) continue;
+            const errR = r - nearest[0];
+            const errG = g - nearest[1];
+            const errB = b - nearest[2];
+            for (const [dx, dy, weight] of kernel) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || nx >= width || ny >= height) continue;
+                const ni = (ny * width + nx) * 3;
+                errors[ni] += errR * weight;
+                errors[ni + 1] += errG * weight;
+                errors[ni + 2] += errB * weight;
+            }
+        }
+    }
+
+    return out;
+}
+
+// WASM-accelerated palette dithering, returns pixels already snapped to the palette
+function ditherToPalette(pixels, width, height, palette, method) {
+    const pixelCount = width * height;
+    const out = poolDitheredPixels;
+    const paletteOffset = pixelCount * 4;
+
+    if (wasm && reserveWasmBuffers(paletteOffset + palette.length * 3, pixelCount * 3)) {
+        wasmBuffer.set(pixels.subarray(0, pixelCount * 4));
+        for (let i = 0; i < palette.length; i++) {
+            wasmBuffer[paletteOffset + i * 3] = palette[i][0];
+            wasmBuffer[paletteOffset + i * 3 + 1] = palette[i][1];
+            wasmBuffer[paletteOffset + i * 3 + 2] = palette[i][2];
+        }
+        wasm.dither_palette(width, height, paletteOffset, palette.length, method, paletteDitherSpread(palette));
+        out.set(wasmBuffer.subarray(0, pixelCount * 4));
+        return out;
+    }
+
+    return ditherToPaletteJS(pixels, width, height, palette, method, out);
+}
+
+// ANSI 256 color palette (standard xterm colors)
+export const ANSI_256 = (function() {
+    const colors = [];
+    // Standard colors (0-15)
+    const standard = [
+        [0,0,0], [128,0,0], [0,128,0], [128,128,0],
+        [0,0,128], [128,0,128], [0,128,128], [192,192,192],
+        [128,128,128], [255,0,0], [0,255,0], [255,255,0],
+        [0,0,255], [255,0,255], [0,255,255], [255,255,255]
+    ];
+    colors.push(...standard);
+    // 216 color cube (16-231)
+    for (let r = 0; r < 6; r++) {
+        for (let g = 0; g < 6; g++) {
+            for (let b = 0; b < 6; b++) {
+                colors.push([r ? r * 40 + 55 : 0, g ? g * 40 + 55 : 0, b ? b * 40 + 55 : 0]);
+            }
+        }
+    }
+    // Grayscale (232-255)
+    for (let i = 0; i < 24; i++) {
+        const v = i * 10 + 8;
+        colors.push([v, v, v]);
+    }
+    return colors;
+})();
+
+// Fixed palettes selectable as color modes, matched like ANSI_256
+function hexPalette(hexes) {
+    return hexes.map(hex => [parseInt(hex.slice(0, 2), 16), parseInt(hex.slice(2, 4), 16), parseInt(hex.slice(4, 6), 16)]);
+}
+
+// 16-color ANSI art / VGA text mode (also the full CGA RGBI set)
+const VGA_16 = hexPalette([
+    '000000', '0000aa', '00aa00', '00aaaa', 'aa0000', 'aa00aa', 'aa5500', 'aaaaaa',
+    '555555', '5555ff', '55ff55', '55ffff', 'ff5555', 'ff55ff', 'ffff55', 'ffffff'
+]);
+
+export const FIXED_PALETTES = {
+    ansi256: ANSI_256,
+    vga16: VGA_16,
+    // CGA 320×200 graphics, palette 1 in high intensity
+    cga: hexPalette(['000000', '55ffff', 'ff55ff', 'ffffff']),
+    // All 64 EGA colors (two bits per channel)
+    ega: (function() {
+        const colors = [];
+        for (let r = 0; r < 4; r++) {
+            for (let g = 0; g < 4; g++) {
+                for (let b = 0; b < 4; b++) {
+                    colors.push([r * 85, g * 85, b * 85]);
+                }
+            }
+        }
+        return colors;
+    })(),
+    // Commodore 64 (Pepto's measured VIC-II colors)
+    c64: hexPalette([
+        '000000', 'ffffff', '68372b', '70a4b2', '6f3d86', '588d43', '352879', 'b8c76f',
+        '6f4f25', '433900', '9a6759', '444444', '6c6c6c', '9ad284', '6c5eb5', '959595'
+    ]),
+    // Original Game Boy (DMG) green shades
+    gameboy: hexPalette(['0f380f', '306230', '8bac0f', '9bbc0f']),
+    pico8: hexPalette([
+        '000000', '1d2b53', '7e2553', '008751', 'ab5236', '5f574f', 'c2c3c7', 'fff1e8',
+        'ff004d', 'ffa300', 'ffec27', '00e436', '29adff', '83769c', 'ff77a8', 'ffccaa'
+    ]),
+    // Windows console default ("Campbell") colors
+    windows: hexPalette([
+        '0c0c0c', '0037da', '13a10e', '3a96dd', 'c50f1f', '881798', 'c19c00', 'cccccc',
+        '767676', '3b78ff', '16c60c', '61d6d6', 'e74856', 'b4009e', 'f9f1a5', 'f2f2f2'
+    ])
+};
+
+// Distinct colors of about 10000 sampled pixels (after saturation) as [r, g, b, count]
+function samplePaletteColors(pixels, saturation) {
+    const colorMap = new Map();
+    const step = Math.max(1, Math.floor(pixels.length / 4 / 10000));
+    for (let i = 0; i < pixels.length; i += 4 * step) {
+        let r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+
+        if (saturation < 1) {
+            const gray = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+            r = Math.round(gray + saturation * (r - gray));
+            g = Math.round(gray + saturation * (g - gray));
+            b = Math.round(gray + saturation * (b - gray));
+        }
+
+        const key = (r << 16) | (g << 8) | b;
+        colorMap.set(key, (colorMap.get(key) || 0) + 1);
+    }
+
+    const colorList = [];
+    for (const [key, count] of colorMap) {
+        colorList.push([
+            (key >> 16) & 0xff,
+            (key >> 8) & 0xff,
+            key & 0xff,
+            count
+        ]);
+    }
+    return colorList;
+}
+
+export function quantizeColors(pixels, numColors, saturation = 1) {
+    return medianCutPalette(samplePaletteColors(pixels, saturation), numColors);
+}
+
+// Median cut in RGB over sampled [r, g, b, count] colors
+function medianCutPalette(colorList, numColors) {
+    if (colorList.length <= numColors) {
+        return colorList.map(c => [c[0], c[1], c[2]]);
+    }
+
+    function getRange(colors, channel) {
+        let min = 255, max = 0;
+        for (const c of colors) {
+            if (c[channel] < min) min = c[channel];
+            if (c[channel] > max) max = c[channel];
+        }
+        return max - min;
+    }
+
+    function medianCut(colors, depth) {
+        if (depth === 0 || colors.length <= 1) {
+            let tr = 0, tg = 0, tb = 0, total = 0;
+            for (const c of colors) {
+                tr += c[0] * c[3];
+                tg += c[1] * c[3];
+                tb += c[2] * c[3];
+                total += c[3];
+            }
+            if (total === 0) return [[128, 128, 128]];
+            return [[Math.round(tr / total), Math.round(tg / total), Math.round(tb / total)]];
+        }
+
+        const rRange = getRange(colors, 0);
+        const gRange = getRange(colors, 1);
+        const bRange = getRange(colors, 2);
+
+        let channel = 0;
+        if (gRange >= rRange && gRange >= bRange) channel = 1;
+        else if (bRange >= rRange && bRange >= gRange) channel = 2;
+
+        colors.sort((a, b) => a[channel] - b[channel]);
+        const mid = Math.floor(colors.length / 2);
+
+        return [
+            ...medianCut(colors.slice(0, mid), depth - 1),
+            ...medianCut(colors.slice(mid), depth - 1)
+        ];
+    }
+
+    const depth = Math.ceil(Math.log2(numColors));
+    return medianCut(colorList, depth).slice(0, numColors);
+}
+
+// Perceptual palettes (settings.quantizer 'oklab'): k-means in OKLab, seeded from median
+// cut, with pixels matched to the palette by OKLab distance (ΔE) instead of RGB distance
+const OKLAB_KMEANS_ITERATIONS = 8;   // full palette computation
+const OKLAB_UPDATE_ITERATIONS = 2;   // per video frame, refining the previous palette
+
+// sRGB byte to linear light
+const SRGB_TO_LINEAR = new Float32Array(256);
+for (let i = 0; i < 256; i++) {
+    const c = i / 255;
+    SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// Write the OKLab coordinates of an sRGB color to out[offset..offset + 2]
+function rgbToOklab(r, g, b, out, offset) {
+    const lr = SRGB_TO_LINEAR[r], lg = SRGB_TO_LINEAR[g], lb = SRGB_TO_LINEAR[b];
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+    out[offset] = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+    out[offset + 1] = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+    out[offset + 2] = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+}
+
+function linearToSrgbByte(c) {
+    const v = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    return Math.max(0, Math.min(255, Math.round(v * 255)));
+}
+
+function oklabToRgb(L, a, b) {
+    const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+    const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+    const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+    return [
+        linearToSrgbByte(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+        linearToSrgbByte(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+        linearToSrgbByte(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+    ];
+}
+
+// Lloyd's k-means (JS fallback for kmeans_oklab): points are [L, a, b, weight] quads,
+// centroids [L, a, b] triples refined in place. Sums are kept in doubles and centroids
+// in floats exactly like the WASM version; a centroid without points stays put.
+function kmeansOklabJS(points, pointCount, centroids, paletteSize, iterations) {
+    const sums = new Float64Array(paletteSize * 4);
+    for (let iter = 0; iter < iterations; iter++) {
+        sums.fill(0);
+        for (let i = 0; i < pointCount; i++) {
+            const p = i * 4;
+            const L = points[p], A = points[p + 1], B = points[p + 2], weight = points[p + 3];
+            let minDist = Infinity;
+            let best = 0;
+            for (let j = 0; j < paletteSize; j++) {
+                const dL = L - centroids[j * 3];
+                const dA = A - centroids[j * 3 + 1];
+                const dB = B - centroids[j * 3 + 2];
+                const dist = dL * dL + dA * dA + dB * dB;
+                if (dist < minDist) {
+                    minDist = dist;
+                    best = j;
+                }
+            }
+            sums[best * 4] += L * weight;
+            sums[best * 4 + 1] += A * weight;
+            sums[best * 4 + 2] += B * weight;
+            sums[best * 4 + 3] += weight;
+        }
+        for (let j = 0; j < paletteSize; j++) {
+            const weight = sums[j * 4 + 3];
+            if (weight > 0) {
+                centroids[j * 3] = sums[j * 4] / weight;
+                centroids[j * 3 + 1] = sums[j * 4 + 1] / weight;
+                centroids[j * 3 + 2] = sums[j * 4 + 2] / weight;
+            }
+        }
+    }
+}
+
+// Perceptual palette: k-means in OKLab over the sampled colors, seeded from median cut,
+// or from a previous palette (keeping its order) for incremental updates between frames
+export function quantizeColorsOklab(pixels, numColors, saturation = 1, previous = null, iterations = OKLAB_KMEANS_ITERATIONS) {
+    const colorList = samplePaletteColors(pixels, saturation);
+    // A previous palette from a frame with fewer colors can't grow, so start over
+    if (previous && previous.length < Math.min(numColors, colorList.length)) {
+        previous = null;
+    }
+    if (!previous && colorList.length <= numColors) {
+        return colorList.map(c => [c[0], c[1], c[2]]);
+    }
+    const seed = previous || medianCutPalette(colorList.slice(), numColors);
+
+    const pointCount = colorList.length;
+    const paletteSize = seed.length;
+    const points = new Float32Array(pointCount * 4);
+    for (let i = 0; i < pointCount; i++) {
+        const [r, g, b, count] = colorList[i];
+        rgbToOklab(r, g, b, points, i * 4);
+        points[i * 4 + 3] = count;
+    }
+    const centroids = new Float32Array(paletteSize * 3);
+    seed.forEach(([r, g, b], j) => rgbToOklab(r, g, b, centroids, j * 3));
+
+    // FLOAT_BUFFER: points, then centroids
+    const centroidOffset = pointCount * 4;
+    if (wasm && reserveWasmBuffers(0, centroidOffset + paletteSize * 3)) {
+        wasmFloatBuffer.set(points);
+        wasmFloatBuffer.set(centroids, centroidOffset);
+        wasm.kmeans_oklab(pointCount, centroidOffset, paletteSize, iterations);
+        centroids.set(wasmFloatBuffer.subarray(centroidOffset, centroidOffset + paletteSize * 3));
+    } else {
+        kmeansOklabJS(points, pointCount, centroids, paletteSize, iterations);
+    }
+
+    const palette = [];
+    for (let j = 0; j < paletteSize; j++) {
+        palette.push(oklabToRgb(centroids[j * 3], centroids[j * 3 + 1], centroids[j * 3 + 2]));
+    }
+    return palette;
+}
+
+// Snap pixels to the palette by OKLab distance into out (JS fallback for snap_palette_oklab)
+function snapToPaletteOklabJS(pixels, pixelCount, palette, paletteLab, out) {
+    const lab = new Float64Array(3);
+    let lastKey = -1;
+    let best = 0;
+    for (let i = 0; i < pixelCount * 4; i += 4) {
+        const r = pixels[i], g = pixels[i + 1], b = pixels[i + 2];
+        // Neighbouring cells often share a color
+        const key = (r << 16) | (g << 8) | b;
+        if (key !== lastKey) {
+            lastKey = key;
+            rgbToOklab(r, g, b, lab, 0);
+            let minDist = Infinity;
+            for (let j = 0; j < palette.length; j++) {
+                const dL = lab[0] - paletteLab[j * 3];
+                const dA = lab[1] - paletteLab[j * 3 + 1];
+                const dB = lab[2] - paletteLab[j * 3 + 2];
+                const dist = dL * dL + dA * dA + dB * dB;
+                if (dist < minDist) {
+                    minDist = dist;
+                    best = j;
+                }
+            }
+        }
+        out[i] = palette[best][0];
+        out[i + 1] = palette[best][1];
+        out[i + 2] = palette[best][2];
+        out[i + 3] = 255;
+    }
+    return out;
+}
+
+// WASM-accelerated perceptual palette matching, returns pixels already snapped to the palette
+function snapToPaletteOklab(pixels, pixelCount, palette, out) {
+    const paletteLab = new Float32Array(palette.length * 3);
+    palette.forEach(([r, g, b], j) => rgbToOklab(r, g, b, paletteLab, j * 3));
+
+    // BUFFER: pixels, then the palette; FLOAT_BUFFER: the sRGB to linear table, then the palette in OKLab
+    const paletteOffset = pixelCount * 4;
+    if (wasm && reserveWasmBuffers(paletteOffset + palette.length * 3, 256 + paletteLab.length)) {
+        wasmBuffer.set(pixels.subarray(0, pixelCount * 4));
+        for (let i = 0; i < palette.length; i++) {
+            wasmBuffer[paletteOffset + i * 3] = palette[i][0];
+            wasmBuffer[paletteOffset + i * 3 + 1] = palette[i][1];
+            wasmBuffer[paletteOffset + i * 3 + 2] = palette[i][2];
+        }
+        wasmFloatBuffer.set(SRGB_TO_LINEAR);
+        wasmFloatBuffer.set(paletteLab, 256);
+        wasm.snap_palette_oklab(pixelCount, paletteOffset, palette.length, 256);
+        out.set(wasmBuffer.subarray(0, pixelCount * 4));
+        return out;
+    }
+
+    return snapToPaletteOklabJS(pixels, pixelCount, palette, paletteLab, out);
+}
+
+// Histogram (256 bins) of the brightness entering the tone curve in the last calcBrightness
+// call, only collected when convert() is asked for it
+const toneHistogram = new Uint32Array(256);
+let collectToneHistogram = false;
+
+function fillToneHistogram(values, pixelCount) {
+    if (!collectToneHistogram) return;
+    toneHistogram.fill(0);
+    for (let i = 0; i < pixelCount; i++) {
+        toneHistogram[Math.min(255, Math.floor(values[i] * 255))]++;
+    }
+}
+
+// Map brightness through the 256-entry tone LUT, interpolating between entries
+function applyToneLutJS(values, pixelCount, lut) {
+    for (let i = 0; i < pixelCount; i++) {
+        const pos = values[i] * 255;
+        const lo = Math.min(254, Math.floor(pos));
+        values[i] = lut[lo] + (lut[lo + 1] - lut[lo]) * (pos - lo);
+    }
+}
+
+// Temporal filtering for video frames (settings.temporalStrength 0-1): an exponential
+// moving average of brightness and cell color, plus a hysteresis dead band so a sample
+// only changes (and with it the character) once it moves past a margin. A large mean
+// brightness change between frames counts as a scene cut and restarts the history.
+const TEMPORAL_MIN_ALPHA = 0.15;   // EMA weight of the new frame at full strength
+const TEMPORAL_MAX_MARGIN = 0.08;  // hysteresis margin at full strength
+const SCENE_CUT_THRESHOLD = 0.15;  // mean absolute brightness change
+let temporalState = null;
+
+function applyTemporalBrightness(values, width, height, settings) {
+    const count = width * height;
+    const strength = settings.temporalStrength;
+    const key = `${settings.algorithm}:${width}x${height}`;
+    let state = temporalState;
+
+    let sceneCut = !state || state.key !== key;
+    if (!sceneCut) {
+        let diff = 0;
+        for (let i = 0; i < count; i++) {
+            diff += Math.abs(values[i] - state.raw[i]);
+        }
+        sceneCut = diff / count > SCENE_CUT_THRESHOLD;
+    }
+
+    if (sceneCut) {
+        state = temporalState = {
+            key,
+            raw: new Float32Array(values.subarray(0, count)),
+            smoothed: new Float32Array(values.subarray(0, count)),
+            held: new Float32Array(values.subarray(0, count)),
+            colors: {}
+        };
+        return;
+    }
+
+    const alpha = 1 - strength * (1 - TEMPORAL_MIN_ALPHA);
+    const margin = strength * TEMPORAL_MAX_MARGIN;
+    const { raw, smoothed, held } = state;
+    for (let i = 0; i < count; i++) {
+        raw[i] = values[i];
+        smoothed[i] += (values[i] - smoothed[i]) * alpha;
+        if (Math.abs(smoothed[i] - held[i]) > margin) {
+            held[i] = smoothed[i];
+        }
+        values[i] = held[i];
+    }
+}
+
+// Smooth per-cell RGBA colors (named stream: foreground or background) with the
+// same history as the brightness; returns a pooled copy so the input isn't modified
+function applyTemporalColors(stream, pixels, count, strength) {
+    const state = temporalState;
+    if (!state) return pixels;
+
+    let history = state.colors[stream];
+    if (!history || history.count !== count) {
+        history = state.colors[stream] = {
+            count,
+            smoothed: Float32Array.from(pixels.subarray(0, count * 4)),
+            output: new Uint8ClampedArray(count * 4)
+        };
+    }
+
+    const alpha = 1 - strength * (1 - TEMPORAL_MIN_ALPHA);
+    const { smoothed, output } = history;
+    for (let i = 0; i < count * 4; i++) {
+        smoothed[i] += (pixels[i] - smoothed[i]) * alpha;
+        output[i] = smoothed[i];
+    }
+    return output;
+}
+
+// Contrast-limited adaptive histogram equalization (CLAHE): each tile gets its own
+// equalization curve with the histogram clipped at clipLimit times the average bin
+// height, and pixels blend the curves of the four nearest tiles. Must match apply_clahe in lib.rs.
+
+// Tile grid for a width x height image with tiles of roughly tileWidth x tileHeight pixels
+function claheTileCounts(width, height, tileWidth, tileHeight) {
+    return [
+        Math.max(1, Math.round(width / tileWidth)),
+        Math.max(1, Math.round(height / tileHeight))
+    ];
+}
+
+function applyClaheJS(values, width, height, tilesX, tilesY, clipLimit) {
+    const maps = new Float32Array(tilesX * tilesY * 256);
+    const histogram = new Float32Array(256);
+
+    for (let ty = 0; ty < tilesY; ty++) {
+        const y0 = Math.floor(ty * height / tilesY);
+        const y1 = Math.floor((ty + 1) * height / tilesY);
+        for (let tx = 0; tx < tilesX; tx++) {
+            const x0 = Math.floor(tx * width / tilesX);
+            const x1 = Math.floor((tx + 1) * width / tilesX);
+            const count = Math.max(1, (x1 - x0) * (y1 - y0));
+
+            histogram.fill(0);
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    histogram[Math.min(255, Math.floor(values[y * width + x] * 255))]++;
+                }
+            }
+
+            // Clip and spread the excess evenly over all bins
+            const limit = Math.max(1, clipLimit * count / 256);
+            let excess = 0;
+            for (let i = 0; i < 256; i++) {
+                if (histogram[i] > limit) {
+                    excess += histogram[i] - limit;
+                    histogram[i] = limit;
+                }
+            }
+            const spread = excess / 256;
+
+            const map = (ty * tilesX + tx) * 256;
+            let cdf = 0;
+            for (let i = 0; i < 256; i++) {
+                cdf += histogram[i] + spread;
+                maps[map + i] = Math.min(1, cdf / count);
+            }
+        }
+    }
+
+    // Bilinear blend between the curves of the surrounding tile centers
+    for (let y = 0; y < height; y++) {
+        const fy = (y + 0.5) * tilesY / height - 0.5;
+        const ty0 = Math.max(0, Math.floor(fy));
+        const ty1 = Math.min(tilesY - 1, ty0 + 1);
+        const wy = Math.min(1, Math.max(0, fy - ty0));
+        for (let x = 0; x < width; x++) {
+            const fx = (x + 0.5) * tilesX / width - 0.5;
+            const tx0 = Math.max(0, Math.floor(fx));
+            const tx1 = Math.min(tilesX - 1, tx0 + 1);
+            const wx = Math.min(1, Math.max(0, fx - tx0));
+
+            const i = y * width + x;
+            const bin = Math.min(255, Math.floor(values[i] * 255));
+            const top = maps[(ty0 * tilesX + tx0) * 256 + bin] * (1 - wx) + maps[(ty0 * tilesX + tx1) * 256 + bin] * wx;
+            const bottom = maps[(ty1 * tilesX + tx0) * 256 + bin] * (1 - wx) + maps[(ty1 * tilesX + tx1) * 256 + bin] * wx;
+            values[i] = top * (1 - wy) + bottom * wy;
+        }
+    }
+}
+
+// WASM-accelerated brightness with histogram equalization (global or CLAHE),
+// contrast and the tone LUT applied. width/height are in samples; gridX/gridY
+// samples make up one character cell, so CLAHE tiles are sized in cells.
+function calcBrightness(pixels, width, height, settings, brightnessValues, gridX = 1, gridY = 1) {
+    const pixelCount = width * height;
+    const [tilesX, tilesY] = settings.clahe
+        ? claheTileCounts(width, height, settings.claheTileSize * gridX, settings.claheTileSize * gridY)
+        : [0, 0];
+
+    // FLOAT_BUFFER: brightness, then the CLAHE tile curves and later the tone LUT,
+    // which reuses their space once equalization is done
+    const lut = settings.toneLut;
+    const scratch = Math.max(tilesX * tilesY * 256, lut ? 256 : 0);
+    if (wasm && reserveWasmBuffers(pixelCount * 4, pixelCount + scratch)) {
+        // Use WASM
+        // Copy pixels to WASM buffer
+        wasmBuffer.set(pixels.subarray(0, pixelCount * 4));
+
+        // Calculate brightness using WASM
+        wasm.calc_brightness_batch(pixelCount);
+
+        // Apply histogram equalization if needed
+        if (settings.clahe) {
+            wasm.apply_clahe(width, height, tilesX, tilesY, settings.claheClipLimit, pixelCount);
+        } else if (settings.histogram) {
+            wasm.apply_histogram_eq(pixelCount);
+        }
+
+        // Apply contrast if needed
+        if (settings.contrast !== 1) {
+            wasm.apply_contrast(pixelCount, settings.contrast);
+        }
+
+        fillToneHistogram(wasmFloatBuffer, pixelCount);
+
+        // Apply the tone LUT
+        if (lut) {
+            wasmFloatBuffer.set(lut, pixelCount);
+            wasm.apply_tone_lut(pixelCount, pixelCount);
+        }
+
+        // Copy brightness values from WASM to pooled buffer
+        brightnessValues.set(wasmFloatBuffer.subarray(0, pixelCount));
+    } else {
+        // JS fallback - write directly to pooled buffer
+        for (let i = 0; i < pixelCount; i++) {
+            const pi = i * 4;
+            brightnessValues[i] = getBrightness(pixels[pi], pixels[pi + 1], pixels[pi + 2]);
+        }
+        if (settings.clahe) {
+            applyClaheJS(brightnessValues, width, height, tilesX, tilesY, settings.claheClipLimit);
+        }
+        applyContrastJS(brightnessValues.subarray(0, pixelCount), settings.contrast, settings.histogram && !settings.clahe);
+        fillToneHistogram(brightnessValues, pixelCount);
+        if (settings.toneLut) applyToneLutJS(brightnessValues, pixelCount, settings.toneLut);
+    }
+
+    if (settings.temporalStrength > 0) {
+        applyTemporalBrightness(brightnessValues, width, height, settings);
+    }
+
+    return brightnessValues;
+}
+
+// Brightness mapping: one character per pixel from the character ramp
+function brightnessMapping(pixels, width, height, settings) {
+    const pixelCount = width * height;
+
+    // Ensure buffer pool is ready
+    ensureBufferPool(pixelCount);
+
+    // Use pooled buffer for brightness values
+    const brightnessValues = calcBrightness(pixels, width, height, settings, poolBrightnessValues);
+
+    // Character ramp, split by code point so characters outside the BMP stay whole
+    const chars = [...settings.chars];
+    if (settings.invert) {
+        chars.reverse();
+    }
+
+    // Edge algorithms: direction characters on edges, ramp (hybrid) or blank elsewhere
+    const algorithm = settings.algorithm;
+    const edgeCodes = (algorithm === 'edges' || algorithm === 'hybrid')
+        ? detectEdges(brightnessValues, width, height, settings)
+        : null;
+    const edgeChars = edgeCodes ? [
+        settings.edgeChars.none,
+        settings.edgeChars.horizontal,
+        settings.edgeChars.vertical,
+        settings.edgeChars.diag1,
+        settings.edgeChars.diag2,
+        settings.edgeChars.corner
+    ] : null;
+    const hybrid = algorithm === 'hybrid';
+
+    // Dithering only changes which ramp entry is picked; brightnessValues stay
+    // untouched for the blend and opacity passes
+    const ditherMethod = DITHER_METHODS[settings.dither];
+    const levelValues = ditherMethod
+        ? ditherBrightness(brightnessValues, width, height, chars.length, ditherMethod)
+        : brightnessValues;
+
+    const ascii = generateAscii(levelValues, width, height, chars, edgeCodes, edgeChars, hybrid)
+        ?? generateAsciiJS(levelValues, width, height, chars, edgeCodes, edgeChars, hybrid);
+
+    return { ascii, brightnessValues };
+}
+
+function generateAsciiJS(levelValues, width, height, chars, edgeCodes, edgeChars, hybrid) {
+    let ascii = '';
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const idx = y * width + x;
+            if (edgeCodes && (edgeCodes[idx] !== EDGE_NONE || !hybrid)) {
+                ascii += edgeChars[edgeCodes[idx]];
+                continue;
+            }
+            const brightness = levelValues[idx];
+            const charIndex = Math.min(chars.length - 1, Math.floor(brightness * chars.length));
+            ascii += chars[charIndex];
+        }
+        ascii += '\n';
+    }
+    return ascii;
+}
+
+// generate_ascii limits and edge modes (must match lib.rs)
+const WASM_MAX_GLYPHS = 1024;
+const GLYPH_EDGE_MODE_NONE = 0;
+const GLYPH_EDGE_MODE_ONLY = 1;
+const GLYPH_EDGE_MODE_HYBRID = 2;
+const utf8Decoder = new TextDecoder();
+
+// WASM text generation: glyphs go in as code points and the text comes back as UTF-8,
+// decoded in one call. Returns null when the JS loop has to run instead (no WASM, edge
+// glyphs that aren't exactly one character, or a frame that doesn't fit the buffers).
+function generateAscii(levelValues, width, height, chars, edgeCodes, edgeChars, hybrid) {
+    if (!wasm) return null;
+
+    const pixelCount = width * height;
+    const glyphs = edgeCodes ? [...chars, ...edgeChars] : chars;
+    if (!chars.length || glyphs.length > WASM_MAX_GLYPHS) return null;
+    const codePoints = new Uint32Array(glyphs.length);
+    for (let i = 0; i < glyphs.length; i++) {
+        const glyph = glyphs[i];
+        if (!glyph || [...glyph].length !== 1) return null;
+        codePoints[i] = glyph.codePointAt(0);
+    }
+
+    // BUFFER layout: edge codes, glyph table (4-byte aligned), then the text
+    const glyphsOffset = Math.ceil(pixelCount / 4) * 4;
+    const outputOffset = glyphsOffset + codePoints.length * 4;
+    if (!reserveWasmBuffers(outputOffset + (width * 4 + 1) * height, pixelCount)) return null;
+
+    wasmFloatBuffer.set(levelValues.subarray(0, pixelCount));
+    if (edgeCodes) wasmBuffer.set(edgeCodes.subarray(0, pixelCount));
+    wasmBuffer.set(new Uint8Array(codePoints.buffer), glyphsOffset);
+    const edgeMode = !edgeCodes ? GLYPH_EDGE_MODE_NONE : hybrid ? GLYPH_EDGE_MODE_HYBRID : GLYPH_EDGE_MODE_ONLY;
+    const length = wasm.generate_ascii(width, height, glyphsOffset, chars.length, 0, edgeMode, outputOffset);
+    if (!length) return null;
+    return utf8Decoder.decode(wasmBuffer.subarray(outputOffset, outputOffset + length));
+}
+
+// Braille dot bits indexed by [row][column] within the 2x4 cell (Unicode dot numbering)
+const BRAILLE_BASE = 0x2800;
+const BRAILLE_DOTS = [
+    [0x01, 0x08],
+    [0x02, 0x10],
+    [0x04, 0x20],
+    [0x40, 0x80]
+];
+
+// Braille mapping: pixels are sampled on a 2x4 grid per character cell,
+// each dot is thresholded (or dithered) and the glyph is built from the dot bitmask.
+// Returns per-cell pixels (average color of the lit dots) for the color passes.
+function brailleMapping(pixels, width, height, settings) {
+    const subWidth = width * 2;
+    const subHeight = height * 4;
+    const subCount = subWidth * subHeight;
+    const cellCount = width * height;
+
+    ensureBufferPool(cellCount);
+    ensureSubCellPool(cellCount, subCount);
+
+    const subBrightness = calcBrightness(pixels, subWidth, subHeight, settings, poolSubBrightness, 2, 4);
+
+    // Ink amount per dot: bright dots are lit on dark backgrounds (invert), dark dots otherwise
+    const ink = poolSubInk;
+    for (let i = 0; i < subCount; i++) {
+        ink[i] = settings.invert ? subBrightness[i] : 1 - subBrightness[i];
+    }
+
+    // Threshold each dot, optionally diffusing the error (Floyd-Steinberg)
+    const threshold = settings.brailleThreshold;
+    for (let y = 0; y < subHeight; y++) {
+        for (let x = 0; x < subWidth; x++) {
+            const i = y * subWidth + x;
+            const value = ink[i];
+            const lit = value >= threshold ? 1 : 0;
+            ink[i] = lit;
+            if (!settings.brailleDither) continue;
+
+            const err = value - lit;
+            if (x + 1 < subWidth) ink[i + 1] += err * 7 / 16;
+            if (y + 1 < subHeight) {
+                if (x > 0) ink[i + subWidth - 1] += err * 3 / 16;
+                ink[i + subWidth] += err * 5 / 16;
+                if (x + 1 < subWidth) ink[i + subWidth + 1] += err * 1 / 16;
+            }
+        }
+    }
+
+    const brightnessValues = poolBrightnessValues;
+    const cellPixels = poolCellPixels;
+    let ascii = '';
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let bits = 0;
+            let litR = 0, litG = 0, litB = 0, litCount = 0;
+            let allR = 0, allG = 0, allB = 0, brightnessSum = 0;
+
+            for (let dy = 0; dy < 4; dy++) {
+                const row = (y * 4 + dy) * subWidth + x * 2;
+                for (let dx = 0; dx < 2; dx++) {
+                    const si = row + dx;
+                    const pi = si * 4;
+                    allR += pixels[pi];
+                    allG += pixels[pi + 1];
+                    allB += pixels[pi + 2];
+                    brightnessSum += subBrightness[si];
+                    if (ink[si]) {
+                        bits |= BRAILLE_DOTS[dy][dx];
+                        litR += pixels[pi];
+                        litG += pixels[pi + 1];
+                        litB += pixels[pi + 2];
+                        litCount++;
+                    }
+                }
+            }
+
+            const idx = y * width + x;
+            const ci = idx * 4;
+            if (litCount > 0) {
+                cellPixels[ci] = litR / litCount;
+                cellPixels[ci + 1] = litG / litCount;
+                cellPixels[ci + 2] = litB / litCount;
+            } else {
+                cellPixels[ci] = allR / 8;
+                cellPixels[ci + 1] = allG / 8;
+                cellPixels[ci + 2] = allB / 8;
+            }
+            cellPixels[ci + 3] = 255;
+            brightnessValues[idx] = brightnessSum / 8;
+
+            ascii += String.fromCharCode(BRAILLE_BASE + bits);
+        }
+        ascii += '\n';
+    }
+
+    return { ascii, brightnessValues, cellPixels };
+}
+
+// Glyph bitmaps for shape matching, keyed by font, cell ratio and characters
+// (sent by the main thread with 'setGlyphs' before the first conversion that needs them)
+const glyphSets = new Map();
+const GLYPH_SETS_MAX = 8;
+
+// Cells with less ink variance than this (a standard deviation of about 0.05) are
+// matched by L2 even with the SSIM metric
+const SSIM_MIN_VARIANCE = 0.0025;
+
+// Shape matching: each cell is sampled on the glyph sub-grid and compared with
+// every glyph bitmap, picking the glyph whose shape matches best (L2 or SSIM).
+function shapeMapping(pixels, width, height, settings, glyphSet) {
+    const [gridX, gridY] = glyphSet.grid;
+    const features = gridX * gridY;
+    const subWidth = width * gridX;
+    const subCount = subWidth * height * gridY;
+    const cellCount = width * height;
+    // Glyphs are split by code point, matching the character ramp
+    const glyphChars = [...glyphSet.chars];
+    const glyphCount = glyphChars.length;
+    const bitmaps = glyphSet.bitmaps;
+    const useSsim = settings.shapeMetric === 'ssim';
+
+    ensureBufferPool(cellCount);
+    ensureSubCellPool(cellCount, subCount);
+
+    const subBrightness = calcBrightness(pixels, subWidth, height * gridY, settings, poolSubBrightness, gridX, gridY);
+    const brightnessValues = poolBrightnessValues;
+    const cellPixels = poolCellPixels;
+
+    // Per-glyph statistics reused for every cell
+    if (!glyphSet.stats) {
+        const stats = new Float32Array(glyphCount * 3); // sum of squares, mean, variance
+        for (let g = 0; g < glyphCount; g++) {
+            let sum = 0, sumSq = 0;
+            for (let k = 0; k < features; k++) {
+                const v = bitmaps[g * features + k];
+                sum += v;
+                sumSq += v * v;
+            }
+            const mean = sum / features;
+            stats[g * 3] = sumSq;
+            stats[g * 3 + 1] = mean;
+            stats[g * 3 + 2] = sumSq / features - mean * mean;
+        }
+        glyphSet.stats = stats;
+    }
+    const stats = glyphSet.stats;
+
+    // SSIM stabilizing constants for values in 0-1
+    const C1 = 0.01 * 0.01;
+    const C2 = 0.03 * 0.03;
+
+    const cell = new Float32Array(features);
+    let ascii = '';
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            // Ink per sub-pixel, same orientation as the character ramp
+            let sum = 0, sumSq = 0, brightnessSum = 0;
+            let r = 0, g = 0, b = 0;
+            for (let dy = 0; dy < gridY; dy++) {
+                const row = (y * gridY + dy) * subWidth + x * gridX;
+                for (let dx = 0; dx < gridX; dx++) {
+                    const si = row + dx;
+                    const brightness = subBrightness[si];
+                    const ink = settings.invert ? brightness : 1 - brightness;
+                    cell[dy * gridX + dx] = ink;
+                    sum += ink;
+                    sumSq += ink * ink;
+                    brightnessSum += brightness;
+                    r += pixels[si * 4];
+                    g += pixels[si * 4 + 1];
+                    b += pixels[si * 4 + 2];
+                }
+            }
+            const mean = sum / features;
+            const variance = sumSq / features - mean * mean;
+            // SSIM's structure term is meaningless on (nearly) flat cells, so those use L2
+            const ssimCell = useSsim && variance >= SSIM_MIN_VARIANCE;
+
+            let best = 0;
+            let bestScore = -Infinity;
+            for (let gi = 0; gi < glyphCount; gi++) {
+                const offset = gi * features;
+                let dot = 0;
+                for (let k = 0; k < features; k++) {
+                    dot += cell[k] * bitmaps[offset + k];
+                }
+
+                let score;
+                if (ssimCell) {
+                    const glyphMean = stats[gi * 3 + 1];
+                    const covariance = dot / features - mean * glyphMean;
+                    score = ((2 * mean * glyphMean + C1) * (2 * covariance + C2)) /
+                        ((mean * mean + glyphMean * glyphMean + C1) * (variance + stats[gi * 3 + 2] + C2));
+                } else {
+                    // Negative squared distance: |cell|^2 - 2 cell.glyph + |glyph|^2
+                    score = -(sumSq - 2 * dot + stats[gi * 3]);
+                }
+
+                // Ties go to the later, lighter glyph of the ramp, so a glyph that leaves no
+                // ink in the cell (an underscore below the line box) doesn't stand in for a space
+                if (score >= bestScore) {
+                    bestScore = score;
+                    best = gi;
+                }
+            }
+
+            const idx = y * width + x;
+            const ci = idx * 4;
+            cellPixels[ci] = r / features;
+            cellPixels[ci + 1] = g / features;
+            cellPixels[ci + 2] = b / features;
+            cellPixels[ci + 3] = 255;
+            brightnessValues[idx] = brightnessSum / features;
+
+            ascii += glyphChars[best];
+        }
+        ascii += '\n';
+    }
+
+    return { ascii, brightnessValues, cellPixels };
+}
+
+// Block modes: quadrant bits are TL=1, TR=2, BL=4, BR=8 (settings.blockChars is indexed by mask)
+const QUADRANT_BITS = [1, 2, 4, 8];
+const HALF_BLOCK_BITS = [3, 12]; // top half, bottom half
+const HALF_BLOCK_UPPER = 3;
+
+// Two-color block mapping for 'halfblock' (1x2 sub-pixels) and 'quadrant' (2x2 sub-pixels).
+// Each cell gets a foreground and a background color taken from the sub-pixels it covers.
+// Monochrome output thresholds each sub-pixel instead, since only one ink color exists.
+function blockMapping(pixels, width, height, settings) {
+    const halfBlock = settings.algorithm === 'halfblock';
+    const subX = halfBlock ? 1 : 2;
+    const subWidth = width * subX;
+    const subCount = subWidth * height * 2;
+    const cellCount = width * height;
+    const bits = halfBlock ? HALF_BLOCK_BITS : QUADRANT_BITS;
+    const subPerCell = bits.length;
+    const monochrome = settings.colorMode === 'monochrome';
+
+    ensureBufferPool(cellCount);
+    ensureSubCellPool(cellCount, subCount);
+
+    const subBrightness = calcBrightness(pixels, subWidth, height * 2, settings, poolSubBrightness, subX, 2);
+    const brightnessValues = poolBrightnessValues;
+    const fgPixels = poolCellPixels;
+    const bgPixels = poolCellBgPixels;
+    const blockChars = settings.blockChars;
+
+    // Sub-pixel indices of the current cell, in bit order
+    const sub = new Array(subPerCell);
+    let ascii = '';
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            for (let dy = 0; dy < 2; dy++) {
+                for (let dx = 0; dx < subX; dx++) {
+                    sub[dy * subX + dx] = (y * 2 + dy) * subWidth + x * subX + dx;
+                }
+            }
+
+            let brightnessSum = 0;
+            for (let k = 0; k < subPerCell; k++) {
+                brightnessSum += subBrightness[sub[k]];
+            }
+
+            let mask = 0;
+            if (monochrome) {
+                for (let k = 0; k < subPerCell; k++) {
+                    const b = subBrightness[sub[k]];
+                    if ((settings.invert ? b : 1 - b) >= 0.5) mask |= bits[k];
+                }
+            } else if (halfBlock) {
+                mask = HALF_BLOCK_UPPER;
+            } else {
+                mask = bestQuadrantMask(pixels, sub);
+            }
+
+            // Average the sub-pixels under the glyph (foreground) and the rest (background)
+            let fr = 0, fg = 0, fb = 0, fn = 0;
+            let br = 0, bg = 0, bb = 0, bn = 0;
+            for (let k = 0; k < subPerCell; k++) {
+                const pi = sub[k] * 4;
+                if (mask & bits[k]) {
+                    fr += pixels[pi]; fg += pixels[pi + 1]; fb += pixels[pi + 2]; fn++;
+                } else {
+                    br += pixels[pi]; bg += pixels[pi + 1]; bb += pixels[pi + 2]; bn++;
+                }
+            }
+
+            const idx = y * width + x;
+            const ci = idx * 4;
+            if (fn === 0) {
+                fr = br; fg = bg; fb = bb; fn = bn;
+            } else if (bn === 0) {
+                br = fr; bg = fg; bb = fb; bn = fn;
+            }
+            fgPixels[ci] = fr / fn;
+            fgPixels[ci + 1] = fg / fn;
+            fgPixels[ci + 2] = fb / fn;
+            fgPixels[ci + 3] = 255;
+            bgPixels[ci] = br / bn;
+            bgPixels[ci + 1] = bg / bn;
+            bgPixels[ci + 2] = bb / bn;
+            bgPixels[ci + 3] = 255;
+            brightnessValues[idx] = brightnessSum / subPerCell;
+
+            ascii += blockChars[mask];
+        }
+        ascii += '\n';
+    }
+
+    return { ascii, brightnessValues, cellPixels: fgPixels, bgPixels };
+}
+
+// Pick the quadrant split into two color groups with the least squared error.
+// The top-left sub-pixel is always in the foreground group; mask 15 means a single color.
+function bestQuadrantMask(pixels, sub) {
+    let bestMask = 15;
+    let bestError = Infinity;
+
+    for (let mask = 1; mask < 16; mask += 2) {
+        let fr = 0, fg = 0, fb = 0, fn = 0;
+        let br = 0, bg = 0, bb = 0, bn = 0;
+        for (let k = 0; k < 4; k++) {
+            const pi = sub[k] * 4;
+            if (mask & QUADRANT_BITS[k]) {
+                fr += pixels[pi]; fg += pixels[pi + 1]; fb += pixels[pi + 2]; fn++;
+            } else {
+                br += pixels[pi]; bg += pixels[pi + 1]; bb += pixels[pi + 2]; bn++;
+            }
+        }
+        fr /= fn; fg /= fn; fb /= fn;
+        if (bn > 0) { br /= bn; bg /= bn; bb /= bn; }
+
+        let error = 0;
+        for (let k = 0; k < 4; k++) {
+            const pi = sub[k] * 4;
+            const inFg = mask & QUADRANT_BITS[k];
+            const dr = pixels[pi] - (inFg ? fr : br);
+            const dg = pixels[pi + 1] - (inFg ? fg : bg);
+            const db = pixels[pi + 2] - (inFg ? fb : bb);
+            error += dr * dr + dg * dg + db * db;
+        }
+
+        // Prefer the single-color glyph on ties to avoid noisy patterns in flat areas
+        if (error < bestError || (error === bestError && mask === 15)) {
+            bestError = error;
+            bestMask = mask;
+        }
+    }
+
+    return bestMask;
+}
+
+// Per-cell background colors for two-color block modes (palette and saturation only)
+function computeBackgroundColors(bgPixels, pixelCount, settings, palette) {
+    const bgR = new Uint8Array(pixelCount);
+    const bgG = new Uint8Array(pixelCount);
+    const bgB = new Uint8Array(pixelCount);
+
+    for (let idx = 0; idx < pixelCount; idx++) {
+        const i = idx * 4;
+        let r = bgPixels[i];
+        let g = bgPixels[i + 1];
+        let b = bgPixels[i + 2];
+
+        if (palette) {
+            const nearest = nearestColor(r, g, b, palette);
+            r = nearest[0];
+            g = nearest[1];
+            b = nearest[2];
+        }
+
+        if (settings.saturation !== 1) {
+            const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+            r = Math.round(gray + settings.saturation * (r - gray));
+            g = Math.round(gray + settings.saturation * (g - gray));
+            b = Math.round(gray + settings.saturation * (b - gray));
+        }
+
+        bgR[idx] = r < 0 ? 0 : (r > 255 ? 255 : r);
+        bgG[idx] = g < 0 ? 0 : (g > 255 ? 255 : g);
+        bgB[idx] = b < 0 ? 0 : (b > 255 ? 255 : b);
+    }
+
+    return { bgR, bgG, bgB };
+}
+
+// Append one colored span, with an optional background color
+function pushSpan(parts, color, background, chars) {
+    parts.push('<span style="color:');
+    parts.push(color);
+    if (background !== null) {
+        parts.push(';background-color:');
+        parts.push(background);
+    }
+    parts.push('">');
+    parts.push(chars);
+    parts.push('</span>');
+}
+
+// Per-character colors (palette snapping, saturation, brightness blend and opacity)
+// into poolColorR/G/B and poolOpacities, in one WASM pass when available.
+// Returns true when WASM did the work; pass forceJs to time the JS fallback.
+function computeCellColors(pixels, pixelCount, brightnessData, settings, palette, forceJs = false) {
+    ensureBufferPool(pixelCount);
+
+    const doBlend = settings.blend !== 0.5 && brightnessData;
+    const doBrightnessOpacity = settings.brightnessOpacity && brightnessData;
+    const baseOpacity = settings.baseOpacity;
+    const invert = settings.invert;
+
+    // BUFFER: pixels, palette, then the R/G/B planes; FLOAT_BUFFER: brightness, then opacities
+    const paletteOffset = pixelCount * 4;
+    const planesOffset = paletteOffset + (palette ? palette.length * 3 : 0);
+    if (!forceJs && wasm &&
+        reserveWasmBuffers(planesOffset + pixelCount * 3, pixelCount * 2)) {
+        wasmBuffer.set(pixels.subarray(0, pixelCount * 4));
+        if (palette) {
+            for (let i = 0; i < palette.length; i++) {
+                wasmBuffer[paletteOffset + i * 3] = palette[i][0];
+                wasmBuffer[paletteOffset + i * 3 + 1] = palette[i][1];
+                wasmBuffer[paletteOffset + i * 3 + 2] = palette[i][2];
+            }
+        }
+        if (doBlend || doBrightnessOpacity) {
+            wasmFloatBuffer.set(brightnessData.subarray(0, pixelCount));
+        }
+        wasm.compute_cell_colors(pixelCount, paletteOffset, palette ? palette.length : 0, planesOffset, pixelCount,
+            settings.saturation, doBlend ? settings.blend : 0.5, baseOpacity, !!doBrightnessOpacity, invert);
+
+        poolColorR.set(wasmBuffer.subarray(planesOffset, planesOffset + pixelCount));
+        poolColorG.set(wasmBuffer.subarray(planesOffset + pixelCount, planesOffset + pixelCount * 2));
+        poolColorB.set(wasmBuffer.subarray(planesOffset + pixelCount * 2, planesOffset + pixelCount * 3));
+        poolOpacities.set(wasmFloatBuffer.subarray(pixelCount, pixelCount * 2));
+        return true;
+    }
+
+    const colorR = poolColorR;
+    const colorG = poolColorG;
+    const colorB = poolColorB;
+    const opacities = poolOpacities;
+    const adjustedBlend = (settings.blend - 0.5) * 2;
+
+    for (let idx = 0; idx < pixelCount; idx++) {
+        const i = idx * 4;
+        let r = pixels[i];
+        let g = pixels[i + 1];
+        let b = pixels[i + 2];
+
+        if (palette) {
+            const nearest = nearestColor(r, g, b, palette);
+            r = nearest[0];
+            g = nearest[1];
+            b = nearest[2];
+        }
+
+        if (settings.saturation !== 1) {
+            const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+            r = Math.round(gray + settings.saturation * (r - gray));
+            g = Math.round(gray + settings.saturation * (g - gray));
+            b = Math.round(gray + settings.saturation * (b - gray));
+        }
+
+        // Apply brightness blend
+        if (doBlend) {
+            const charBrightness = brightnessData[idx];
+            let factor;
+            if (adjustedBlend >= 0) {
+                factor = 1 - adjustedBlend * (1 - charBrightness);
+            } else {
+                factor = 1 + (-adjustedBlend) * (1 - charBrightness);
+            }
+            r = Math.round(r * factor);
+            g = Math.round(g * factor);
+            b = Math.round(b * factor);
+        }
+
+        // Clamp and store
+        colorR[idx] = r < 0 ? 0 : (r > 255 ? 255 : r);
+        colorG[idx] = g < 0 ? 0 : (g > 255 ? 255 : g);
+        colorB[idx] = b < 0 ? 0 : (b > 255 ? 255 : b);
+
+        // Calculate opacity
+        let opacity = baseOpacity;
+        if (doBrightnessOpacity) {
+            let charBrightness = brightnessData[idx];
+            if (invert) {
+                charBrightness = 1 - charBrightness;
+            }
+            opacity *= (1 - charBrightness);
+        }
+        opacities[idx] = opacity;
+    }
+    return false;
+}
+
+// WASM-accelerated color application
+function applyColorToAscii(ascii, pixels, width, height, brightnessData, settings, palette, bgColors = null) {
+    if (settings.colorMode === 'monochrome') {
+        return null;
+    }
+
+    const pixelCount = width * height;
+    const baseOpacity = settings.baseOpacity;
+    computeCellColors(pixels, pixelCount, brightnessData, settings, palette);
+    const colorR = poolColorR;
+    const colorG = poolColorG;
+    const colorB = poolColorB;
+    const opacities = poolOpacities;
+
+    // Build HTML with span combining. Characters may lie outside the BMP, so lines
+    // are walked by code point with a separate cell counter
+    const parts = [];
+    const lines = ascii.split('\n');
+
+    for (let y = 0; y < height; y++) {
+        let currentColor = null;
+        let currentBg = null;
+        let currentChars = '';
+        let x = 0;
+
+        for (const char of lines[y] ?? '') {
+            if (x >= width) break;
+            const idx = y * width + x++;
+
+            const colorStr = getColorString(colorR[idx], colorG[idx], colorB[idx], opacities[idx]);
+            const bgStr = bgColors
+                ? getColorString(bgColors.bgR[idx], bgColors.bgG[idx], bgColors.bgB[idx], baseOpacity)
+                : null;
+
+            if (colorStr === currentColor && bgStr === currentBg) {
+                currentChars += escapeChar(char);
+            } else {
+                if (currentColor !== null) {
+                    pushSpan(parts, currentColor, currentBg, currentChars);
+                }
+                currentColor = colorStr;
+                currentBg = bgStr;
+                currentChars = escapeChar(char);
+            }
+        }
+
+        if (currentColor !== null) {
+            pushSpan(parts, currentColor, currentBg, currentChars);
+        }
+        parts.push('\n');
+    }
+
+    return parts.join('');
+}
+
+// Process monochrome with brightness opacity
+function processMonoBrightnessOpacity(ascii, pixels, width, height, settings) {
+    const parts = [];
+    const { fgR, fgG, fgB, baseOpacity, invert } = settings;
+    const pixelCount = width * height;
+
+    // Ensure buffer pool is ready
+    ensureBufferPool(pixelCount);
+
+    // Calculate brightness using WASM if available
+    let brightnessValues;
+    if (wasm && reserveWasmBuffers(pixelCount * 4, pixelCount)) {
+        wasmBuffer.set(pixels.subarray(0, pixelCount * 4));
+        wasm.calc_brightness_batch(pixelCount);
+        brightnessValues = wasmFloatBuffer;
+    } else {
+        // Use pooled buffer for JS fallback
+        brightnessValues = poolBrightnessValues;
+        for (let i = 0; i < pixelCount; i++) {
+            const pi = i * 4;
+            brightnessValues[i] = getBrightness(pixels[pi], pixels[pi + 1], pixels[pi + 2]);
+        }
+    }
+
+    // Use pooled buffer for opacities
+    const opacities = poolOpacities;
+    for (let i = 0; i < pixelCount; i++) {
+        let brightness = brightnessValues[i];
+        if (invert) brightness = 1 - brightness;
+        opacities[i] = baseOpacity * (1 - brightness);
+    }
+
+    // Walk lines by code point, as in applyColorToAscii
+    const lines = ascii.split('\n');
+    for (let y = 0; y < height; y++) {
+        let currentOpacity = -1;
+        let currentChars = '';
+        let x = 0;
+
+        for (const char of lines[y] ?? '') {
+            if (x >= width) break;
+            const idx = y * width + x++;
+
+            // Quantize opacity to 2 decimal places for better span combining
+            const opacity = Math.round(opacities[idx] * 100) / 100;
+
+            if (opacity === currentOpacity) {
+                currentChars += escapeChar(char);
+            } else {
+                if (currentOpacity >= 0) {
+                    parts.push('<span style="color:rgba(');
+                    parts.push(fgR);
+                    parts.push(',');
+                    parts.push(fgG);
+                    parts.push(',');
+                    parts.push(fgB);
+                    parts.push(',');
+                    parts.push(currentOpacity.toFixed(2));
+                    parts.push(')">');
+                    parts.push(currentChars);
+                    parts.push('</span>');
+                }
+                currentOpacity = opacity;
+                currentChars = escapeChar(char);
+            }
+        }
+        if (currentOpacity >= 0) {
+            parts.push('<span style="color:rgba(');
+            parts.push(fgR);
+            parts.push(',');
+            parts.push(fgG);
+            parts.push(',');
+            parts.push(fgB);
+            parts.push(',');
+            parts.push(currentOpacity.toFixed(2));
+            parts.push(')">');
+            parts.push(currentChars);
+            parts.push('</span>');
+        }
+        parts.push('\n');
+    }
+
+    return parts.join('');
+}
+
+// Cached palette
+let cachedPalette = null;
+
+// Compute colors for canvas mode (no HTML building)
+function computeColorsForCanvas(pixels, width, height, brightnessData, settings, palette) {
+    const pixelCount = width * height;
+    computeCellColors(pixels, pixelCount, brightnessData, settings, palette);
+    const colorR = poolColorR;
+    const colorG = poolColorG;
+    const colorB = poolColorB;
+    const opacities = poolOpacities;
+
+    // Return copies of the color data for transfer
+    return {
+        colorR: new Uint8Array(colorR.subarray(0, pixelCount)),
+        colorG: new Uint8Array(colorG.subarray(0, pixelCount)),
+        colorB: new Uint8Array(colorB.subarray(0, pixelCount)),
+        opacities: new Float32Array(opacities.subarray(0, pixelCount))
+    };
+}
+
+// Convert RGBA pixels (sampled at the algorithm's sub-cell grid for Braille,
+// block and shape modes) into ASCII. Returns the text plus, as requested,
+// span HTML and/or per-cell color arrays for canvas rendering, and optionally
+// the histogram of the brightness going into the tone curve. Pass temporal for
+// consecutive video frames to apply settings.temporalStrength across calls.
+export function convert(pixels, width, height, settings, {
+    html: wantHtml = true,
+    colors: wantColors = true,
+    histogram: wantHistogram = false,
+    temporal = false
+} = {}) {
+    if (!temporal && settings.temporalStrength) {
+        settings = { ...settings, temporalStrength: 0 };
+    }
+    collectToneHistogram = wantHistogram;
+
+    // Run character mapping (WASM-accelerated); sub-pixel modes also
+    // return one averaged pixel per cell for the color passes
+    const glyphSet = settings.glyphSet || glyphSets.get(settings.glyphKey);
+    let mapping;
+    if (settings.algorithm === 'braille') {
+        mapping = brailleMapping(pixels, width, height, settings);
+    } else if (settings.algorithm === 'halfblock' || settings.algorithm === 'quadrant') {
+        mapping = blockMapping(pixels, width, height, settings);
+    } else if (settings.algorithm === 'shape' && glyphSet) {
+        mapping = shapeMapping(pixels, width, height, settings, glyphSet);
+    } else {
+        mapping = brightnessMapping(pixels, width, height, settings);
+    }
+    const { ascii, brightnessValues } = mapping;
+    let cellPixels = mapping.cellPixels || pixels;
+    let bgPixels = mapping.bgPixels;
+    if (settings.temporalStrength > 0) {
+        cellPixels = applyTemporalColors('fg', cellPixels, width * height, settings.temporalStrength);
+        if (bgPixels) bgPixels = applyTemporalColors('bg', bgPixels, width * height, settings.temporalStrength);
+    }
+
+    let html = null;
+    let colors = null;
+    const colorMode = settings.colorMode;
+
+    // Determine palette
+    let palette = null;
+    if (colorMode !== 'monochrome') {
+        if (FIXED_PALETTES[colorMode]) {
+            palette = FIXED_PALETTES[colorMode];
+        } else if (colorMode.startsWith('adaptive')) {
+            const numColors = parseInt(colorMode.replace('adaptive', ''));
+            const quantizer = settings.quantizer || 'median-cut';
+            // A saturation change recomputes the palette, even for video
+            const valid = cachedPalette && cachedPalette.numColors === numColors &&
+                cachedPalette.quantizer === quantizer && cachedPalette.saturation === settings.saturation;
+            if (quantizer === 'oklab' && temporal && valid) {
+                // Video: refine the last palette with this frame instead of recomputing it,
+                // so colors (and their order) drift smoothly rather than jumping
+                cachedPalette = {
+                    numColors,
+                    quantizer,
+                    saturation: settings.saturation,
+                    colors: quantizeColorsOklab(pixels, numColors, settings.saturation, cachedPalette.colors, OKLAB_UPDATE_ITERATIONS)
+                };
+            } else if (!valid) {
+                cachedPalette = {
+                    numColors,
+                    quantizer,
+                    saturation: settings.saturation,
+                    colors: quantizer === 'oklab'
+                        ? quantizeColorsOklab(pixels, numColors, settings.saturation)
+                        : quantizeColors(pixels, numColors, settings.saturation)
+                };
+            }
+            palette = cachedPalette.colors;
+        }
+    }
+
+    // Perceptual palettes match by OKLab distance, so without color dithering the cell
+    // (and background) colors are snapped up front and the color passes skip the palette
+    const colorDitherMethod = DITHER_METHODS[settings.colorDither];
+    let colorPixels = cellPixels;
+    if (palette && settings.quantizer === 'oklab' && colorMode.startsWith('adaptive') && !colorDitherMethod) {
+        ensureBufferPool(width * height);
+        colorPixels = snapToPaletteOklab(cellPixels, width * height, palette, poolDitheredPixels);
+        if (bgPixels) {
+            bgPixels = snapToPaletteOklab(bgPixels, width * height, palette, new Uint8ClampedArray(width * height * 4));
+        }
+        palette = null;
+    }
+
+    // Two-color block modes carry a background color per cell
+    const bgColors = bgPixels && colorMode !== 'monochrome'
+        ? computeBackgroundColors(bgPixels, width * height, settings, palette)
+        : null;
+
+    // Palette dithering snaps the cell colors up front, so the color passes skip the palette
+    if (palette && colorDitherMethod) {
+        ensureBufferPool(width * height);
+        colorPixels = ditherToPalette(cellPixels, width, height, palette, colorDitherMethod);
+        palette = null;
+    }
+    lastColorPass = colorMode !== 'monochrome'
+        ? { pixels: colorPixels, width, height, brightness: brightnessValues, settings, palette }
+        : null;
+
+    if (wantColors) {
+        // Raw per-cell color data for canvas rendering
+        if (colorMode !== 'monochrome') {
+            colors = computeColorsForCanvas(colorPixels, width, height, brightnessValues, settings, palette);
+            if (bgColors) {
+                Object.assign(colors, bgColors);
+            }
+        } else if (settings.brightnessOpacity) {
+            // Monochrome with brightness opacity - compute opacities only
+            ensureBufferPool(width * height);
+            const opacities = poolOpacities;
+            for (let i = 0; i < width * height; i++) {
+                let brightness = brightnessValues[i];
+                if (settings.invert) brightness = 1 - brightness;
+                opacities[i] = settings.baseOpacity * (1 - brightness);
+            }
+            colors = {
+                colorR: null,
+                colorG: null,
+                colorB: null,
+                opacities: new Float32Array(opacities.subarray(0, width * height))
+            };
+        }
+    }
+
+    if (wantHtml) {
+        // Span HTML for colored or opacity-mapped output
+        if (colorMode !== 'monochrome') {
+            html = applyColorToAscii(ascii, colorPixels, width, height, brightnessValues, settings, palette, bgColors);
+        } else if (settings.brightnessOpacity) {
+            html = processMonoBrightnessOpacity(ascii, cellPixels, width, height, settings);
+        }
+    }
+
+    const histogram = wantHistogram ? new Uint32Array(toneHistogram) : null;
+    return { ascii, colors, html, histogram };
+}
+
+// Inputs of the last frame's color pass, kept for benchmarkColorPass()
+let lastColorPass = null;
+
+// Time the color pass of the last converted frame with the JS fallback and with WASM.
+// Returns { cells, jsMs, wasmMs, match }, or null when the last frame had no colors.
+// Throws when the WASM color pass can't run, since there is nothing to compare.
+export function benchmarkColorPass(iterations = 20) {
+    if (!lastColorPass) return null;
+    if (!wasm) throw new Error('WASM is not loaded');
+    const { pixels, width, height, brightness, settings, palette } = lastColorPass;
+    const pixelCount = width * height;
+
+    const run = (forceJs) => {
+        const start = performance.now();
+        let usedWasm = false;
+        for (let i = 0; i < iterations; i++) {
+            usedWasm = computeCellColors(pixels, pixelCount, brightness, settings, palette, forceJs);
+        }
+        const ms = (performance.now() - start) / iterations;
+        const output = [poolColorR, poolColorG, poolColorB, poolOpacities].map(plane => plane.slice(0, pixelCount));
+        return { ms, usedWasm, output };
+    };
+
+    const js = run(true);
+    const fast = run(false);
+    if (!fast.usedWasm) {
+        throw new Error('WASM color pass did not run (frame too large for WASM memory)');
+    }
+    const match = js.output.every((plane, p) => plane.every((value, i) => value === fast.output[p][i]));
+    return { cells: pixelCount, jsMs: js.ms, wasmMs: fast.ms, match };
+}
+
+// Register glyph bitmaps for shape matching under a key (see settings.glyphKey)
+export function setGlyphSet(key, glyphSet) {
+    if (glyphSets.size >= GLYPH_SETS_MAX) {
+        glyphSets.clear();
+    }
+    glyphSets.set(key, glyphSet);
+}
+
+// Drop the adaptive palette and color caches (e.g. when a new image is loaded)
+export function clearCaches() {
+    cachedPalette = null;
+    lastColorPass = null;
+    colorCache.clear();
+    resetTemporal();
+}
+
+// Forget the temporal filter history, so the next frame starts fresh
+export function resetTemporal() {
+    temporalState = null;
+}
+
+// Worker message protocol, used by ascii-worker.js and the main-thread fallback
+export function handleConversionMessage(data, postMessage) {
+    const { type, pixels, width, height, settings, canvasMode, histogram: wantHistogram } = data;
+
+    if (type === 'convert') {
+        const startTime = performance.now();
+
+        // Canvas mode (video/webcam) needs raw color data and temporal smoothing, static images need HTML
+        const { ascii, colors: colorData, html, histogram } = convert(pixels, width, height, settings, {
+            html: !canvasMode,
+            colors: canvasMode,
+            histogram: wantHistogram,
+            temporal: canvasMode
+        });
+
+        const duration = performance.now() - startTime;
+
+        // Prepare message with transferable arrays for canvas mode
+        const message = {
+            type: 'result',
+            ascii,
+            html,
+            colorData,
+            histogram,
+            width,
+            height,
+            duration
+        };
+
+        if (canvasMode && colorData) {
+            const transfers = [colorData.opacities.buffer];
+            if (colorData.colorR) {
+                transfers.push(colorData.colorR.buffer, colorData.colorG.buffer, colorData.colorB.buffer);
+            }
+            if (colorData.bgR) {
+                transfers.push(colorData.bgR.buffer, colorData.bgG.buffer, colorData.bgB.buffer);
+            }
+            postMessage(message, transfers);
+        } else {
+            postMessage(message);
+        }
+    } else if (type === 'setGlyphs') {
+        const { key, chars, grid, bitmaps } = data;
+        setGlyphSet(key, { chars, grid, bitmaps });
+    } else if (type === 'clearCache') {
+        clearCaches();
+    } else if (type === 'resetTemporal') {
+        resetTemporal();
+    } else if (type === 'benchmarkColors') {
+        try {
+            postMessage({ type: 'benchmark', result: benchmarkColorPass() });
+        } catch (e) {
+            postMessage({ type: 'benchmark', error: e.message });
+        }
+    }
+}
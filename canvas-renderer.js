@@ -0,0 +1,281 @@
+// Canvas renderer for live video and webcam frames
+// Used on the main thread and, with an OffscreenCanvas, inside the worker, so it
+// only relies on canvas APIs that exist in both places.
+// 'atlas' copies glyphs from a pre-rendered glyph atlas and tints them by
+// compositing; 'text' calls fillText per cell and is kept for comparison.
+
+import { BLOCK_CHARS } from './settings.js';
+
+// Quadrant mask per block glyph (TL=1, TR=2, BL=4, BR=8)
+const BLOCK_MASKS = new Map([...BLOCK_CHARS].map((char, mask) => [char, mask]));
+
+const ATLAS_COLUMNS = 32;
+
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// Pixel size of the rendered output for a grid of width x height characters
+export function canvasPixelSize(width, height, { fontSize, charRatio }) {
+    return {
+        canvasWidth: Math.ceil(width * fontSize * charRatio),
+        canvasHeight: height * fontSize
+    };
+}
+
+// Fill the quadrants of a block glyph with the current fill style
+function drawBlockGlyph(ctx, mask, px, py, charWidth, charHeight) {
+    const x0 = Math.round(px);
+    const x1 = Math.round(px + charWidth / 2);
+    const x2 = Math.round(px + charWidth);
+    const y1 = py + Math.round(charHeight / 2);
+    const y2 = py + charHeight;
+    if (mask & 1) ctx.fillRect(x0, py, x1 - x0, y1 - py);
+    if (mask & 2) ctx.fillRect(x1, py, x2 - x1, y1 - py);
+    if (mask & 4) ctx.fillRect(x0, y1, x1 - x0, y2 - y1);
+    if (mask & 8) ctx.fillRect(x1, y1, x2 - x1, y2 - y1);
+}
+
+// Glyph atlas: every character drawn once, in white, for a font, size, cell width
+// and character set. Characters outside the set (edges, Braille, blocks) are added
+// the first time they show up.
+function createGlyphAtlas(font, size, charWidth, charHeight, chars) {
+    // Padding lets glyphs overhang their cell like fillText output does
+    const pad = Math.ceil(size / 4);
+    const atlas = {
+        font: `${size}px ${font}`,
+        pad,
+        slotWidth: Math.ceil(charWidth) + pad * 2,
+        slotHeight: charHeight + pad * 2,
+        canvas: createCanvas(0, 0),
+        slots: new Map()
+    };
+    for (const char of chars) {
+        getAtlasSlot(atlas, char);
+    }
+    return atlas;
+}
+
+function getAtlasSlot(atlas, char) {
+    let slot = atlas.slots.get(char);
+    if (slot) return slot;
+
+    const index = atlas.slots.size;
+    const rows = Math.floor(index / ATLAS_COLUMNS) + 1;
+    if (rows * atlas.slotHeight > atlas.canvas.height) {
+        // Grow (doubling the rows), keeping the glyphs drawn so far
+        const old = atlas.canvas;
+        const canvas = createCanvas(ATLAS_COLUMNS * atlas.slotWidth,
+            Math.max(rows, old.height / atlas.slotHeight * 2) * atlas.slotHeight);
+        if (old.height) canvas.getContext('2d').drawImage(old, 0, 0);
+        atlas.canvas = canvas;
+    }
+
+    slot = {
+        x: (index % ATLAS_COLUMNS) * atlas.slotWidth,
+        y: Math.floor(index / ATLAS_COLUMNS) * atlas.slotHeight
+    };
+    const ctx = atlas.canvas.getContext('2d');
+    ctx.font = atlas.font;
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#fff';
+    ctx.fillText(char, slot.x + atlas.pad, slot.y + atlas.pad);
+    atlas.slots.set(char, slot);
+    return slot;
+}
+
+// Create a renderer drawing into canvas (an HTMLCanvasElement or OffscreenCanvas).
+// render() options: renderer ('atlas' or 'text'), fontFamily, fontSize, charRatio,
+// chars (character set to pre-render), background (CSS color), fg ([r, g, b] for
+// monochrome), baseOpacity and drawBlocks (draw block glyphs as exact rectangles).
+export function createCanvasRenderer(canvas) {
+    const ctx = canvas.getContext('2d', { alpha: false });
+    let atlas = null;
+    let atlasKey = null;
+
+    // Offscreen layers for the atlas renderer: white glyph coverage for the whole frame,
+    // and one pixel per cell holding its color and opacity
+    let glyphLayer = null;
+    let glyphCtx = null;
+    let cellLayer = null;
+    let cellCtx = null;
+    let cellImage = null;
+
+    function ensureLayers(width, height) {
+        if (!glyphLayer) {
+            glyphLayer = createCanvas(0, 0);
+            glyphCtx = glyphLayer.getContext('2d');
+            cellLayer = createCanvas(0, 0);
+            cellCtx = cellLayer.getContext('2d');
+        }
+        if (glyphLayer.width !== canvas.width || glyphLayer.height !== canvas.height) {
+            glyphLayer.width = canvas.width;
+            glyphLayer.height = canvas.height;
+        }
+        if (cellLayer.width !== width || cellLayer.height !== height) {
+            cellLayer.width = width;
+            cellLayer.height = height;
+            cellImage = cellCtx.createImageData(width, height);
+        }
+    }
+
+    // Write per-cell colors into the cell layer and draw it stretched over the character grid
+    function drawCellLayer(target, width, height, charWidth, charHeight, fillCell) {
+        const data = cellImage.data;
+        for (let idx = 0; idx < width * height; idx++) {
+            fillCell(data, idx, idx * 4);
+        }
+        cellCtx.putImageData(cellImage, 0, 0);
+        target.imageSmoothingEnabled = false;
+        target.drawImage(cellLayer, 0, 0, width, height, 0, 0, width * charWidth, height * charHeight);
+    }
+
+    function renderAtlas(ascii, colorData, width, height, options, charWidth, charHeight) {
+        const { fg, baseOpacity, drawBlocks } = options;
+        const key = `${options.fontFamily}|${options.fontSize}|${charWidth}|${options.chars}`;
+        if (key !== atlasKey) {
+            atlas = createGlyphAtlas(options.fontFamily, options.fontSize, charWidth, charHeight, options.chars);
+            atlasKey = key;
+        }
+        const { pad, slotWidth, slotHeight } = atlas;
+        ensureLayers(width, height);
+
+        // Cell backgrounds (block modes) go straight onto the output
+        if (colorData && colorData.bgR) {
+            const { bgR, bgG, bgB } = colorData;
+            const alpha = Math.round(baseOpacity * 255);
+            drawCellLayer(ctx, width, height, charWidth, charHeight, (data, idx, i) => {
+                data[i] = bgR[idx];
+                data[i + 1] = bgG[idx];
+                data[i + 2] = bgB[idx];
+                data[i + 3] = alpha;
+            });
+        }
+
+        // Glyph coverage in white; every draw shares the same state, so nothing changes between cells
+        glyphCtx.globalCompositeOperation = 'source-over';
+        glyphCtx.clearRect(0, 0, glyphLayer.width, glyphLayer.height);
+        glyphCtx.fillStyle = '#fff';
+        let lineStart = 0;
+        for (let y = 0; y < height; y++) {
+            const py = y * charHeight;
+            for (let x = 0; x < width; x++) {
+                const char = ascii[lineStart + x];
+                if (char === undefined || char === '\n' || char === ' ') continue;
+                const px = x * charWidth;
+
+                const blockMask = drawBlocks ? BLOCK_MASKS.get(char) : undefined;
+                if (blockMask !== undefined) {
+                    drawBlockGlyph(glyphCtx, blockMask, px, py, charWidth, charHeight);
+                } else {
+                    const slot = getAtlasSlot(atlas, char);
+                    glyphCtx.drawImage(atlas.canvas, slot.x, slot.y, slotWidth, slotHeight,
+                        Math.round(px) - pad, py - pad, slotWidth, slotHeight);
+                }
+            }
+            lineStart += width + 1; // +1 for newline
+        }
+
+        // Tint: keep the glyph coverage, take color and opacity from each cell
+        glyphCtx.globalCompositeOperation = 'source-in';
+        const { colorR, colorG, colorB, opacities } = colorData || {};
+        drawCellLayer(glyphCtx, width, height, charWidth, charHeight, (data, idx, i) => {
+            data[i] = colorR ? colorR[idx] : fg[0];
+            data[i + 1] = colorR ? colorG[idx] : fg[1];
+            data[i + 2] = colorR ? colorB[idx] : fg[2];
+            data[i + 3] = opacities ? opacities[idx] * 255 : baseOpacity * 255;
+        });
+        glyphCtx.globalCompositeOperation = 'source-over';
+
+        ctx.drawImage(glyphLayer, 0, 0);
+    }
+
+    // Reference renderer: one fillText (and fill style) per cell
+    function renderText(ascii, colorData, width, height, options, charWidth, charHeight) {
+        const { drawBlocks, baseOpacity } = options;
+        const [fgR, fgG, fgB] = options.fg;
+        const hasBackground = colorData && colorData.bgR;
+
+        // Set up context
+        ctx.font = `${options.fontSize}px ${options.fontFamily}`;
+        ctx.textBaseline = 'top';
+
+        // Render characters
+        let lineStart = 0;
+        for (let y = 0; y < height; y++) {
+            const py = y * charHeight;
+
+            for (let x = 0; x < width; x++) {
+                const idx = y * width + x;
+                const charCode = ascii.charCodeAt(lineStart + x);
+                if (charCode === 10 || isNaN(charCode)) continue;
+
+                const char = String.fromCharCode(charCode);
+                const px = x * charWidth;
+
+                if (hasBackground) {
+                    const x0 = Math.round(px);
+                    ctx.fillStyle = `rgba(${colorData.bgR[idx]},${colorData.bgG[idx]},${colorData.bgB[idx]},${baseOpacity})`;
+                    ctx.fillRect(x0, py, Math.round(px + charWidth) - x0, charHeight);
+                }
+
+                // Set color
+                if (colorData && colorData.colorR) {
+                    // Full color mode
+                    const r = colorData.colorR[idx];
+                    const g = colorData.colorG[idx];
+                    const b = colorData.colorB[idx];
+                    const a = colorData.opacities[idx];
+                    ctx.fillStyle = `rgba(${r},${g},${b},${a.toFixed(2)})`;
+                } else if (colorData && colorData.opacities) {
+                    // Monochrome with brightness opacity
+                    const a = colorData.opacities[idx];
+                    ctx.fillStyle = `rgba(${fgR},${fgG},${fgB},${a.toFixed(2)})`;
+                } else {
+                    // Plain monochrome
+                    ctx.fillStyle = `rgba(${fgR},${fgG},${fgB},${baseOpacity})`;
+                }
+
+                const blockMask = drawBlocks ? BLOCK_MASKS.get(char) : undefined;
+                if (blockMask !== undefined) {
+                    drawBlockGlyph(ctx, blockMask, px, py, charWidth, charHeight);
+                } else {
+                    ctx.fillText(char, px, py);
+                }
+            }
+            lineStart += width + 1; // +1 for newline
+        }
+    }
+
+    return {
+        render(ascii, colorData, width, height, options) {
+            // Calculate character dimensions
+            const charWidth = options.fontSize * options.charRatio;
+            const charHeight = options.fontSize;
+
+            // Size canvas
+            const { canvasWidth, canvasHeight } = canvasPixelSize(width, height, options);
+            if (canvas.width !== canvasWidth || canvas.height !== canvasHeight) {
+                canvas.width = canvasWidth;
+                canvas.height = canvasHeight;
+            }
+
+            // Clear with background color
+            ctx.globalCompositeOperation = 'source-over';
+            ctx.fillStyle = options.background;
+            ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+
+            if (options.renderer === 'text') {
+                renderText(ascii, colorData, width, height, options, charWidth, charHeight);
+            } else {
+                renderAtlas(ascii, colorData, width, height, options, charWidth, charHeight);
+            }
+        }
+    };
+}
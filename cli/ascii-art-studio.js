@@ -0,0 +1,459 @@
+#!/usr/bin/env node
+// ASCII Art Studio command-line tool
+// Converts images offline with the same conversion core, settings and presets as the web UI
+
+import { readFile, writeFile, mkdir, readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { initWasm, convert } from '../ascii-core.js';
+import { DEFAULT_SETTINGS, SETTINGS_PRESETS, SUB_CELL_GRIDS, hexToRgb, toConvertSettings, parsePresetFile } from '../settings.js';
+import { buildAnsiText, buildSvg, cellsFromColors, escapeXml } from '../exporters.js';
+import { decodeImage, encodePng, resizeImage, ImageFormatError } from './images.js';
+import { findSystemFont, loadFont } from './raster.js';
+
+const FORMATS = {
+    txt: '.txt',
+    ansi: '.ans',
+    html: '.html',
+    svg: '.svg',
+    png: '.png'
+};
+const IMAGE_EXTENSIONS = ['.png', '.bmp', '.dib', '.ppm', '.pgm', '.pbm', '.pnm'];
+const PADDING = 20;
+
+const USAGE = `Usage:
+  ascii-art-studio convert <input...> [options]
+  ascii-art-studio presets
+
+Inputs are PNG, BMP or PPM/PGM/PBM files, directories, or quoted glob
+patterns ("assets/**/*.png", "img/*.{png,bmp}").
+
+Options:
+  -c, --cols <n>          Characters per row (default: from settings)
+  -p, --preset <name>     Built-in settings preset (see "presets")
+  -s, --settings <file>   Settings JSON or preset file from the web UI, applied over the preset
+  -f, --format <format>   txt, ansi, html, svg or png (default: from --output, else txt)
+      --ansi-depth <d>    truecolor, ansi256 or ansi16 (default: truecolor)
+  -o, --output <path>     Output file (single input) or directory
+  -d, --out-dir <dir>     Output directory; input folder structure is kept
+      --font <file>       TTF/OTF font for PNG output and shape matching
+      --font-size <px>    Font size for PNG/SVG/HTML output (default: from settings)
+  -q, --quiet             Don't report written files
+  -h, --help              Show this help`;
+
+class CliError extends Error {}
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            cols: { type: 'string', short: 'c' },
+            preset: { type: 'string', short: 'p' },
+            settings: { type: 'string', short: 's' },
+            format: { type: 'string', short: 'f' },
+            'ansi-depth': { type: 'string', default: 'truecolor' },
+            output: { type: 'string', short: 'o' },
+            'out-dir': { type: 'string', short: 'd' },
+            font: { type: 'string' },
+            'font-size': { type: 'string' },
+            quiet: { type: 'boolean', short: 'q' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const [command, ...inputs] = positionals;
+    if (values.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+    if (command === 'presets') {
+        for (const [key, preset] of Object.entries(SETTINGS_PRESETS)) {
+            console.log(`${key.padEnd(20)}${preset.name}`);
+        }
+        return;
+    }
+    if (command !== 'convert') {
+        throw new CliError(`Unknown command "${command}"\n\n${USAGE}`);
+    }
+    if (!inputs.length) {
+        throw new CliError('No input files given');
+    }
+
+    const settings = await resolveSettings(values);
+    const format = values.format || formatFromPath(values.output) || 'txt';
+    if (!FORMATS[format]) {
+        throw new CliError(`Unknown format "${format}" (expected ${Object.keys(FORMATS).join(', ')})`);
+    }
+    if (!['truecolor', 'ansi256', 'ansi16'].includes(values['ansi-depth'])) {
+        throw new CliError(`Unknown ANSI depth "${values['ansi-depth']}"`);
+    }
+
+    const files = await expandInputs(inputs);
+    if (!files.length) {
+        throw new CliError('No matching input images');
+    }
+    const targets = await resolveOutputs(files, values, format);
+
+    // A font is needed to draw PNG glyphs and to match glyph shapes; otherwise it only sets the cell ratio
+    const fontPath = values.font || findSystemFont();
+    if (!fontPath && (format === 'png' || settings.algorithm === 'shape')) {
+        throw new CliError(`No monospace font found; pass one with --font for ${format === 'png' ? 'PNG output' : 'shape matching'}`);
+    }
+    const font = fontPath ? await loadFont(fontPath) : null;
+
+    await initWasm();
+
+    let failures = 0;
+    for (let i = 0; i < files.length; i++) {
+        const { file } = files[i];
+        try {
+            const image = decodeImage(await readFile(file));
+            const output = renderOutput(image, settings, format, font, values['ansi-depth']);
+            if (targets[i]) {
+                await mkdir(path.dirname(targets[i]), { recursive: true });
+                await writeFile(targets[i], output);
+                if (!values.quiet) console.error(`${file} -> ${targets[i]}`);
+            } else {
+                process.stdout.write(output);
+            }
+        } catch (e) {
+            if (!(e instanceof ImageFormatError) && !e.code) throw e;
+            console.error(`${file}: ${e.message}`);
+            failures++;
+        }
+    }
+    if (failures) {
+        process.exitCode = 1;
+    }
+}
+
+// Defaults, then the preset, then the settings file, then individual flags
+async function resolveSettings(values) {
+    let settings = { ...DEFAULT_SETTINGS };
+
+    if (values.preset) {
+        const preset = SETTINGS_PRESETS[values.preset];
+        if (!preset) {
+            throw new CliError(`Unknown preset "${values.preset}" (run "ascii-art-studio presets" for a list)`);
+        }
+        settings = { ...settings, ...preset.settings };
+    }
+
+    if (values.settings) {
+        let parsed;
+        try {
+            parsed = parsePresetFile(JSON.parse(await readFile(values.settings, 'utf8')), 'settings');
+        } catch (e) {
+            throw new CliError(`Can't read settings file ${values.settings}: ${e.message}`);
+        }
+        // Preset files exported from the web UI work too, as long as they hold one preset
+        const names = Object.keys(parsed.settingsPresets);
+        if (names.length !== 1) {
+            throw new CliError(`${values.settings} holds ${names.length} presets${names.length ? ` (${names.join(', ')})` : ''}; export a single one`);
+        }
+        parsed.ignored.forEach(field => console.error(`Ignoring ${field}`));
+        settings = { ...settings, ...parsed.settingsPresets[names[0]] };
+    }
+
+    if (values.cols !== undefined) {
+        settings.charsPerRow = parsePositiveInt(values.cols, '--cols');
+    }
+    if (values['font-size'] !== undefined) {
+        settings.fontSize = parsePositiveInt(values['font-size'], '--font-size');
+    }
+    return settings;
+}
+
+function parsePositiveInt(text, name) {
+    const value = Number(text);
+    if (!Number.isInteger(value) || value < 1) {
+        throw new CliError(`${name} expects a positive integer`);
+    }
+    return value;
+}
+
+function formatFromPath(file) {
+    if (!file) return null;
+    const ext = path.extname(file).toLowerCase();
+    return Object.keys(FORMATS).find(format => FORMATS[format] === ext) || null;
+}
+
+// --- Inputs ---
+
+// Expand files, directories and glob patterns into { file, base } entries;
+// base is the directory outputs are named relative to
+async function expandInputs(inputs) {
+    const files = [];
+    const seen = new Set();
+    const add = (file, base) => {
+        if (!seen.has(file)) {
+            seen.add(file);
+            files.push({ file, base });
+        }
+    };
+
+    for (const input of inputs) {
+        if (/[*?[{]/.test(input)) {
+            const { base, regex, recursive } = compileGlob(input);
+            for (const file of await walk(base, recursive)) {
+                if (regex.test(path.relative(base, file).split(path.sep).join('/'))) {
+                    add(file, base);
+                }
+            }
+        } else {
+            const info = await stat(input).catch(() => null);
+            if (info && info.isDirectory()) {
+                for (const file of await walk(input, false)) {
+                    if (IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase())) add(file, input);
+                }
+            } else {
+                // Missing files are reported per file during conversion
+                add(input, path.dirname(input));
+            }
+        }
+    }
+    return files;
+}
+
+// Split a glob into its literal base directory and a regex for the rest
+function compileGlob(pattern) {
+    const parts = pattern.split(/[\\/]/);
+    const firstGlob = parts.findIndex(part => /[*?[{]/.test(part));
+    const base = parts.slice(0, firstGlob).join('/') || (pattern.startsWith('/') ? '/' : '.');
+    const rest = parts.slice(firstGlob).join('/');
+
+    let source = '';
+    for (let i = 0; i < rest.length; i++) {
+        const c = rest[i];
+        if (c === '*' && rest[i + 1] === '*') {
+            // "**/" matches any number of directories, including none
+            source += rest[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += rest[i + 2] === '/' ? 2 : 1;
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '[') {
+            const end = rest.indexOf(']', i);
+            source += end > i ? rest.slice(i, end + 1).replace(/^\[!/, '[^') : '\\[';
+            i = end > i ? end : i;
+        } else if (c === '{') {
+            const end = rest.indexOf('}', i);
+            if (end > i) {
+                source += '(?:' + rest.slice(i + 1, end).split(',').map(escapeRegex).join('|') + ')';
+                i = end;
+            } else {
+                source += '\\{';
+            }
+        } else {
+            source += escapeRegex(c);
+        }
+    }
+
+    return { base, regex: new RegExp(`^${source}$`), recursive: rest.includes('/') };
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function walk(dir, recursive) {
+    const entries = await readdir(dir, { withFileTypes: true }).catch(() => []);
+    const files = [];
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) files.push(...await walk(full, true));
+        } else if (entry.isFile()) {
+            files.push(full);
+        }
+    }
+    return files;
+}
+
+// --- Outputs ---
+
+// Output path per input (null writes to stdout)
+async function resolveOutputs(files, values, format) {
+    let outDir = values['out-dir'];
+    if (values.output && !outDir) {
+        const info = await stat(values.output).catch(() => null);
+        if ((info && info.isDirectory()) || /[\\/]$/.test(values.output) || files.length > 1) {
+            outDir = values.output;
+        } else {
+            return [values.output];
+        }
+    }
+
+    if (!outDir) {
+        if (files.length > 1 || format === 'png') {
+            throw new CliError(`Use --output or --out-dir to write ${files.length > 1 ? 'several files' : 'PNG output'}`);
+        }
+        return [null];
+    }
+
+    const ext = FORMATS[format];
+    const stems = files.map(({ file, base }) => {
+        const relative = path.relative(base, file);
+        return path.join(outDir, relative.slice(0, relative.length - path.extname(relative).length));
+    });
+    // Inputs differing only by extension (logo.png, logo.bmp) keep it to stay distinct
+    return stems.map((stem, i) => stems.indexOf(stem) !== stems.lastIndexOf(stem)
+        ? stem + path.extname(files[i].file) + ext
+        : stem + ext);
+}
+
+// Sample the image at the algorithm's grid, convert it and format the result
+function renderOutput(image, settings, format, font, ansiDepth) {
+    const ratio = settings.autoRatio && font ? font.charRatio : settings.charRatio;
+    const width = settings.charsPerRow;
+    const height = Math.max(1, Math.round(width * (image.height / image.width) * ratio));
+    const [subX, subY] = SUB_CELL_GRIDS[settings.algorithm] || [1, 1];
+    const scaled = resizeImage(image, width * subX, height * subY);
+
+    const convertSettings = toConvertSettings(settings);
+    if (settings.algorithm === 'shape') {
+        convertSettings.glyphSet = getGlyphSet(convertSettings.chars, font, ratio);
+    }
+
+    const result = convert(scaled.data, width, height, convertSettings, {
+        html: format === 'html',
+        colors: format === 'ansi' || format === 'svg' || format === 'png'
+    });
+
+    const isMono = settings.colorMode === 'monochrome';
+    const isDark = settings.outputBackground === 'dark';
+    const fgColor = isMono ? settings.monoFg : (isDark ? '#f0f0f0' : '#000000');
+    const bgColor = isMono ? settings.monoBg : (isDark ? '#0d0d0d' : '#ffffff');
+    const fontFamily = font && font.familyName ? `'${font.familyName}', monospace` : 'monospace';
+
+    if (format === 'txt') {
+        return result.ascii;
+    }
+    if (format === 'html') {
+        const baseStyles = `font-family: ${fontFamily}; font-size: ${settings.fontSize}px; line-height: 1; letter-spacing: 0; white-space: pre; background-color: ${bgColor}; padding: 16px; margin: 0; display: inline-block;`;
+        const pre = result.html
+            ? `<pre style="${baseStyles}">${result.html}</pre>`
+            : `<pre style="${baseStyles} color: ${fgColor};">${escapeXml(result.ascii)}</pre>`;
+        return `<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8"></head>\n<body>\n${pre}\n</body>\n</html>\n`;
+    }
+
+    const rows = cellsFromColors(result.ascii, result.colors, hexToRgb(fgColor), settings.opacity / 100);
+    if (format === 'ansi') {
+        const outputBg = hexToRgb(bgColor);
+        return buildAnsiText(rows, { depth: ansiDepth, outputBg, fillBg: isMono ? outputBg : null });
+    }
+    if (format === 'svg') {
+        return buildSvg(rows, {
+            fontFamily,
+            fontSize: settings.fontSize,
+            charWidth: settings.fontSize * ratio,
+            background: settings.brightnessAsOpacity ? null : bgColor
+        }) + '\n';
+    }
+    return encodePng(renderPng(rows, font, settings.fontSize, settings.brightnessAsOpacity ? null : hexToRgb(bgColor)));
+}
+
+// Glyph ink per sub-cell, normalized so the densest sub-cell is full ink (as in the web UI)
+function getGlyphSet(chars, font, ratio) {
+    const [gridX, gridY] = SUB_CELL_GRIDS.shape;
+    const features = gridX * gridY;
+    const glyphs = [...new Set(chars)];
+    const size = 48;
+    const cellWidth = Math.max(gridX, Math.round(size * ratio));
+    const bitmaps = new Float32Array(glyphs.length * features);
+    let maxInk = 0;
+
+    glyphs.forEach((char, g) => {
+        const coverage = font.rasterize(char, size, cellWidth, size);
+        const sums = new Float32Array(features);
+        const counts = new Uint32Array(features);
+        for (let y = 0; y < size; y++) {
+            const gy = Math.floor(y * gridY / size);
+            for (let x = 0; x < cellWidth; x++) {
+                const k = gy * gridX + Math.floor(x * gridX / cellWidth);
+                sums[k] += coverage[y * cellWidth + x];
+                counts[k]++;
+            }
+        }
+        for (let k = 0; k < features; k++) {
+            const ink = sums[k] / counts[k];
+            bitmaps[g * features + k] = ink;
+            if (ink > maxInk) maxInk = ink;
+        }
+    });
+
+    if (maxInk > 0) {
+        for (let i = 0; i < bitmaps.length; i++) bitmaps[i] /= maxInk;
+    }
+    return { chars: glyphs.join(''), grid: [gridX, gridY], bitmaps };
+}
+
+// Draw cell rows like the web UI's PNG export: padded canvas, per-cell backgrounds,
+// glyphs composited with their color and opacity. A null background stays transparent.
+function renderPng(rows, font, fontSize, background) {
+    const charWidth = fontSize * font.charRatio;
+    const charHeight = fontSize;
+    const columns = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const width = Math.ceil(columns * charWidth) + PADDING * 2;
+    const height = rows.length * charHeight + PADDING * 2;
+    const data = new Uint8ClampedArray(width * height * 4);
+    const glyphWidth = Math.ceil(charWidth) + 1;
+
+    if (background) {
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = background[0];
+            data[i + 1] = background[1];
+            data[i + 2] = background[2];
+            data[i + 3] = 255;
+        }
+    }
+
+    // Source-over blend of one color into a pixel, keeping straight (unpremultiplied) alpha
+    const blend = (x, y, rgb, alpha) => {
+        if (alpha <= 0 || x < 0 || y < 0 || x >= width || y >= height) return;
+        const o = (y * width + x) * 4;
+        const dstAlpha = data[o + 3] / 255;
+        const outAlpha = alpha + dstAlpha * (1 - alpha);
+        for (let c = 0; c < 3; c++) {
+            data[o + c] = (rgb[c] * alpha + data[o + c] * dstAlpha * (1 - alpha)) / outAlpha;
+        }
+        data[o + 3] = outAlpha * 255;
+    };
+
+    rows.forEach((cells, row) => {
+        const top = PADDING + row * charHeight;
+        cells.forEach(({ char, fg, bg }, col) => {
+            const left = PADDING + col * charWidth;
+            if (bg) {
+                for (let y = top; y < top + charHeight; y++) {
+                    for (let x = Math.round(left); x < Math.round(left + charWidth); x++) {
+                        blend(x, y, bg, 1);
+                    }
+                }
+            }
+            if (char === ' ' || fg[3] <= 0) return;
+
+            const coverage = font.rasterize(char, fontSize, glyphWidth, charHeight);
+            const x0 = Math.floor(left);
+            for (let y = 0; y < charHeight; y++) {
+                for (let x = 0; x < glyphWidth; x++) {
+                    blend(x0 + x, top + y, fg, coverage[y * glyphWidth + x] * fg[3]);
+                }
+            }
+        });
+    });
+
+    return { width, height, data };
+}
+
+main(process.argv.slice(2)).catch(e => {
+    if (e instanceof CliError || e.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || e.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+        console.error(e.message);
+        process.exitCode = 2;
+    } else {
+        console.error(e);
+        process.exitCode = 1;
+    }
+});
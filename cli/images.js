@@ -0,0 +1,479 @@
+// Image decoding/encoding for the command-line tool (no browser or native deps)
+// Decoders return { width, height, data } with 8-bit RGBA pixels, like ImageData
+
+import { inflateSync, deflateSync } from 'node:zlib';
+
+export class ImageFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImageFormatError';
+    }
+}
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Decode a PNG, BMP or Netpbm (PBM/PGM/PPM) file by sniffing its header
+export function decodeImage(buffer) {
+    if (PNG_SIGNATURE.every((b, i) => buffer[i] === b)) {
+        return decodePng(buffer);
+    }
+    if (buffer[0] === 0x42 && buffer[1] === 0x4d) {
+        return decodeBmp(buffer);
+    }
+    if (buffer[0] === 0x50 && buffer[1] >= 0x31 && buffer[1] <= 0x36) {
+        return decodeNetpbm(buffer);
+    }
+    throw new ImageFormatError('Unsupported image format (expected PNG, BMP or PPM/PGM/PBM)');
+}
+
+// --- PNG ---
+
+// Adam7 passes: [x start, y start, x step, y step]
+const ADAM7 = [
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+    [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+export function decodePng(buffer) {
+    let offset = 8;
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            header = {
+                width: chunk.readUInt32BE(0),
+                height: chunk.readUInt32BE(4),
+                bitDepth: chunk[8],
+                colorType: chunk[9],
+                interlace: chunk[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = chunk;
+        } else if (type === 'tRNS') {
+            transparency = chunk;
+        } else if (type === 'IDAT') {
+            idat.push(chunk);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header || !idat.length) {
+        throw new ImageFormatError('Invalid PNG: missing IHDR or IDAT');
+    }
+    const { width, height, bitDepth, colorType, interlace } = header;
+    const channels = PNG_CHANNELS[colorType];
+    if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth)) {
+        throw new ImageFormatError(`Unsupported PNG color type ${colorType} / bit depth ${bitDepth}`);
+    }
+    if (colorType === 3 && !palette) {
+        throw new ImageFormatError('Invalid PNG: indexed image without palette');
+    }
+
+    const raw = inflateSync(Buffer.concat(idat));
+    const bitsPerPixel = channels * bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const data = new Uint8ClampedArray(width * height * 4);
+    const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+
+    // Read one sample (channel value) from an unfiltered scanline
+    const sample = (line, index) => {
+        if (bitDepth === 8) return line[index];
+        if (bitDepth === 16) return line[index * 2];
+        const bit = index * bitDepth;
+        return (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    };
+    // 16-bit samples keep both bytes so tRNS keys compare exactly
+    const fullSample = (line, index) => bitDepth === 16 ? (line[index * 2] << 8) | line[index * 2 + 1] : sample(line, index);
+    const toByte = value => bitDepth >= 8 ? value : Math.round(value * 255 / maxSample);
+
+    const writePixel = (line, x, outIndex) => {
+        const o = outIndex * 4;
+        const s = x * channels;
+        if (colorType === 3) {
+            const entry = sample(line, s);
+            data[o] = palette[entry * 3];
+            data[o + 1] = palette[entry * 3 + 1];
+            data[o + 2] = palette[entry * 3 + 2];
+            data[o + 3] = transparency && entry < transparency.length ? transparency[entry] : 255;
+        } else if (colorType === 0 || colorType === 4) {
+            const gray = toByte(sample(line, s));
+            data[o] = data[o + 1] = data[o + 2] = gray;
+            if (colorType === 4) {
+                data[o + 3] = toByte(sample(line, s + 1));
+            } else {
+                data[o + 3] = transparency && fullSample(line, s) === transparency.readUInt16BE(0) ? 0 : 255;
+            }
+        } else {
+            data[o] = sample(line, s);
+            data[o + 1] = sample(line, s + 1);
+            data[o + 2] = sample(line, s + 2);
+            if (colorType === 6) {
+                data[o + 3] = sample(line, s + 3);
+            } else {
+                const isKey = transparency &&
+                    fullSample(line, s) === transparency.readUInt16BE(0) &&
+                    fullSample(line, s + 1) === transparency.readUInt16BE(2) &&
+                    fullSample(line, s + 2) === transparency.readUInt16BE(4);
+                data[o + 3] = isKey ? 0 : 255;
+            }
+        }
+    };
+
+    const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+    let position = 0;
+    for (const [x0, y0, dx, dy] of passes) {
+        const passWidth = Math.ceil((width - x0) / dx);
+        const passHeight = Math.ceil((height - y0) / dy);
+        if (passWidth <= 0 || passHeight <= 0) continue;
+
+        const stride = Math.ceil(passWidth * bitsPerPixel / 8);
+        let previous = new Uint8Array(stride);
+        for (let y = 0; y < passHeight; y++) {
+            const filter = raw[position];
+            const line = Uint8Array.from(raw.subarray(position + 1, position + 1 + stride));
+            position += stride + 1;
+            unfilterScanline(filter, line, previous, bytesPerPixel);
+            for (let x = 0; x < passWidth; x++) {
+                writePixel(line, x, (y0 + y * dy) * width + x0 + x * dx);
+            }
+            previous = line;
+        }
+    }
+
+    return { width, height, data };
+}
+
+function unfilterScanline(filter, line, previous, bpp) {
+    for (let i = 0; i < line.length; i++) {
+        const left = i >= bpp ? line[i - bpp] : 0;
+        const up = previous[i];
+        const upLeft = i >= bpp ? previous[i - bpp] : 0;
+        let predictor = 0;
+        if (filter === 1) {
+            predictor = left;
+        } else if (filter === 2) {
+            predictor = up;
+        } else if (filter === 3) {
+            predictor = (left + up) >> 1;
+        } else if (filter === 4) {
+            const p = left + up - upLeft;
+            const pa = Math.abs(p - left);
+            const pb = Math.abs(p - up);
+            const pc = Math.abs(p - upLeft);
+            predictor = pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+        } else if (filter !== 0) {
+            throw new ImageFormatError(`Invalid PNG filter type ${filter}`);
+        }
+        line[i] = (line[i] + predictor) & 0xff;
+    }
+}
+
+// CRC-32 as used by PNG chunks
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, body) {
+    const chunk = Buffer.alloc(12 + body.length);
+    chunk.writeUInt32BE(body.length, 0);
+    chunk.write(type, 4, 'latin1');
+    body.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + body.length)), 8 + body.length);
+    return chunk;
+}
+
+// Encode 8-bit RGBA pixels as a PNG (filter type 0 on every row)
+export function encodePng({ width, height, data }) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 6;  // RGBA
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+    }
+    return Buffer.concat([
+        Buffer.from(PNG_SIGNATURE),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// --- BMP ---
+
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+
+export function decodeBmp(buffer) {
+    const dataOffset = buffer.readUInt32LE(10);
+    const headerSize = buffer.readUInt32LE(14);
+    let width, height, bitCount, compression = BI_RGB, paletteSize = 0;
+    let paletteEntrySize = 4;
+
+    if (headerSize === 12) {
+        // OS/2 BITMAPCOREHEADER
+        width = buffer.readUInt16LE(18);
+        height = buffer.readInt16LE(20);
+        bitCount = buffer.readUInt16LE(24);
+        paletteEntrySize = 3;
+    } else {
+        width = buffer.readInt32LE(18);
+        height = buffer.readInt32LE(22);
+        bitCount = buffer.readUInt16LE(28);
+        compression = buffer.readUInt32LE(30);
+        paletteSize = buffer.readUInt32LE(46);
+    }
+
+    if (compression !== BI_RGB && compression !== BI_BITFIELDS && compression !== BI_ALPHABITFIELDS) {
+        throw new ImageFormatError('Compressed (RLE/JPEG/PNG) BMP files are not supported');
+    }
+
+    // Negative height means rows are stored top-down
+    const topDown = height < 0;
+    height = Math.abs(height);
+
+    // Channel masks: explicit bitfields or the BI_RGB defaults
+    let masks = null;
+    if (bitCount === 16 || bitCount === 32) {
+        if (compression === BI_RGB) {
+            masks = bitCount === 16
+                ? [0x7c00, 0x03e0, 0x001f, 0]
+                : [0x00ff0000, 0x0000ff00, 0x000000ff, 0];
+        } else {
+            // Masks follow a 40-byte header, or live inside V2+ headers at the same offset
+            const maskOffset = 14 + 40;
+            const hasAlphaMask = compression === BI_ALPHABITFIELDS || headerSize >= 56;
+            masks = [
+                buffer.readUInt32LE(maskOffset),
+                buffer.readUInt32LE(maskOffset + 4),
+                buffer.readUInt32LE(maskOffset + 8),
+                hasAlphaMask ? buffer.readUInt32LE(maskOffset + 12) : 0
+            ];
+        }
+    } else if (bitCount !== 24 && ![1, 2, 4, 8].includes(bitCount)) {
+        throw new ImageFormatError(`Unsupported BMP bit depth ${bitCount}`);
+    }
+
+    let palette = null;
+    if (bitCount <= 8) {
+        const count = paletteSize || (1 << bitCount);
+        const paletteOffset = 14 + headerSize + (compression === BI_BITFIELDS ? 12 : 0);
+        palette = [];
+        for (let i = 0; i < count; i++) {
+            const p = paletteOffset + i * paletteEntrySize;
+            palette.push([buffer[p + 2], buffer[p + 1], buffer[p]]);
+        }
+    }
+
+    const channelReaders = masks && masks.map(mask => {
+        if (!mask) return null;
+        let shift = 0;
+        while (!((mask >>> shift) & 1)) shift++;
+        const max = mask >>> shift;
+        return value => Math.round(((value & mask) >>> shift) * 255 / max);
+    });
+
+    const stride = Math.floor((bitCount * width + 31) / 32) * 4;
+    const data = new Uint8ClampedArray(width * height * 4);
+    let hasAlpha = false;
+
+    for (let y = 0; y < height; y++) {
+        const row = dataOffset + (topDown ? y : height - 1 - y) * stride;
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            if (palette) {
+                const bit = x * bitCount;
+                const index = (buffer[row + (bit >> 3)] >> (8 - bitCount - (bit & 7))) & ((1 << bitCount) - 1);
+                const color = palette[index] || [0, 0, 0];
+                data[o] = color[0];
+                data[o + 1] = color[1];
+                data[o + 2] = color[2];
+                data[o + 3] = 255;
+            } else if (bitCount === 24) {
+                const p = row + x * 3;
+                data[o] = buffer[p + 2];
+                data[o + 1] = buffer[p + 1];
+                data[o + 2] = buffer[p];
+                data[o + 3] = 255;
+            } else {
+                const value = bitCount === 16 ? buffer.readUInt16LE(row + x * 2) : buffer.readUInt32LE(row + x * 4);
+                data[o] = channelReaders[0](value);
+                data[o + 1] = channelReaders[1](value);
+                data[o + 2] = channelReaders[2](value);
+                data[o + 3] = channelReaders[3] ? channelReaders[3](value) : 255;
+                if (data[o + 3] !== 0) hasAlpha = true;
+            }
+        }
+    }
+
+    // An all-zero alpha mask usually means the writer didn't use alpha at all
+    if (channelReaders && channelReaders[3] && !hasAlpha) {
+        for (let i = 3; i < data.length; i += 4) data[i] = 255;
+    }
+
+    return { width, height, data };
+}
+
+// --- Netpbm (P1-P6) ---
+
+export function decodeNetpbm(buffer) {
+    const magic = buffer.toString('latin1', 0, 2);
+    const isBitmap = magic === 'P1' || magic === 'P4';
+    const isGray = magic === 'P2' || magic === 'P5';
+    const isBinary = magic >= 'P4';
+    let position = 2;
+
+    // Header tokens are whitespace-separated, with # comments to end of line
+    const nextToken = () => {
+        for (;;) {
+            while (position < buffer.length && /\s/.test(String.fromCharCode(buffer[position]))) position++;
+            if (buffer[position] !== 0x23) break;
+            while (position < buffer.length && buffer[position] !== 0x0a && buffer[position] !== 0x0d) position++;
+        }
+        const start = position;
+        while (position < buffer.length && !/\s/.test(String.fromCharCode(buffer[position]))) position++;
+        if (start === position) {
+            throw new ImageFormatError(`Truncated ${magic} file`);
+        }
+        return buffer.toString('latin1', start, position);
+    };
+
+    const width = parseInt(nextToken(), 10);
+    const height = parseInt(nextToken(), 10);
+    const maxValue = isBitmap ? 1 : parseInt(nextToken(), 10);
+    if (!(width > 0 && height > 0 && maxValue > 0 && maxValue < 65536)) {
+        throw new ImageFormatError(`Invalid ${magic} header`);
+    }
+    // Binary data starts after exactly one whitespace byte
+    position++;
+
+    const channels = isGray || isBitmap ? 1 : 3;
+    const data = new Uint8ClampedArray(width * height * 4);
+    const wide = maxValue > 255;
+
+    const readValue = isBinary
+        ? () => {
+            const value = wide ? buffer.readUInt16BE(position) : buffer[position];
+            position += wide ? 2 : 1;
+            return value;
+        }
+        : () => parseInt(nextToken(), 10);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            if (isBitmap) {
+                // PBM: 1 is black; P4 packs 8 pixels per byte with rows padded to a byte
+                let bit;
+                if (isBinary) {
+                    const rowBytes = Math.ceil(width / 8);
+                    bit = (buffer[position + y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+                } else {
+                    // Digits in P1 may be run together without whitespace
+                    while (/\s/.test(String.fromCharCode(buffer[position]))) position++;
+                    bit = buffer[position++] === 0x31 ? 1 : 0;
+                }
+                const value = bit ? 0 : 255;
+                data[o] = data[o + 1] = data[o + 2] = value;
+            } else {
+                for (let c = 0; c < channels; c++) {
+                    data[o + c] = Math.round(readValue() * 255 / maxValue);
+                }
+                if (channels === 1) {
+                    data[o + 1] = data[o + 2] = data[o];
+                }
+            }
+            data[o + 3] = 255;
+        }
+    }
+
+    return { width, height, data };
+}
+
+// --- Resampling ---
+
+// Area-average resize (like a browser's smoothed drawImage when downscaling),
+// weighting color by alpha so transparent pixels don't darken edges
+export function resizeImage(image, width, height) {
+    const { width: srcWidth, height: srcHeight, data: src } = image;
+    const xSpans = boxSpans(srcWidth, width);
+    const ySpans = boxSpans(srcHeight, height);
+    const out = new Uint8ClampedArray(width * height * 4);
+    const acc = new Float64Array(4);
+
+    for (let y = 0; y < height; y++) {
+        const ys = ySpans[y];
+        for (let x = 0; x < width; x++) {
+            const xs = xSpans[x];
+            acc.fill(0);
+            let weightSum = 0;
+            for (let j = 0; j < ys.length; j += 2) {
+                const sy = ys[j];
+                const wy = ys[j + 1];
+                for (let i = 0; i < xs.length; i += 2) {
+                    const p = (sy * srcWidth + xs[i]) * 4;
+                    const w = wy * xs[i + 1];
+                    const a = src[p + 3] * w;
+                    acc[0] += src[p] * a;
+                    acc[1] += src[p + 1] * a;
+                    acc[2] += src[p + 2] * a;
+                    acc[3] += a;
+                    weightSum += w;
+                }
+            }
+            const o = (y * width + x) * 4;
+            if (acc[3] > 0) {
+                out[o] = acc[0] / acc[3];
+                out[o + 1] = acc[1] / acc[3];
+                out[o + 2] = acc[2] / acc[3];
+            }
+            out[o + 3] = acc[3] / weightSum;
+        }
+    }
+
+    return { width, height, data: out };
+}
+
+// Source pixel indices and coverage weights ([index, weight, ...]) for each target pixel
+function boxSpans(srcSize, dstSize) {
+    const scale = srcSize / dstSize;
+    const spans = [];
+    for (let d = 0; d < dstSize; d++) {
+        const start = d * scale;
+        const end = Math.max(start + 1e-9, (d + 1) * scale);
+        const span = [];
+        for (let s = Math.floor(start); s < Math.min(srcSize, Math.ceil(end)); s++) {
+            const weight = Math.min(end, s + 1) - Math.max(start, s);
+            if (weight > 0) span.push(s, weight);
+        }
+        spans.push(span);
+    }
+    return spans;
+}
@@ -0,0 +1,157 @@
+// Glyph rasterization for the command-line tool (PNG output and shape-matching bitmaps)
+// Fonts are parsed with opentype.js and filled with an anti-aliased nonzero scanline fill
+
+import { readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import opentype from 'opentype.js';
+
+// Monospace fonts tried in order when --font isn't given
+const SYSTEM_FONT_PATHS = [
+    '/usr/share/fonts/truetype/dejavu/DejaVuSansMono.ttf',
+    '/usr/share/fonts/TTF/DejaVuSansMono.ttf',
+    '/usr/share/fonts/dejavu/DejaVuSansMono.ttf',
+    '/usr/share/fonts/truetype/liberation/LiberationMono-Regular.ttf',
+    '/usr/share/fonts/liberation-mono/LiberationMono-Regular.ttf',
+    '/usr/share/fonts/truetype/ubuntu/UbuntuMono-R.ttf',
+    '/Library/Fonts/Courier New.ttf',
+    '/System/Library/Fonts/Supplemental/Courier New.ttf',
+    'C:\\Windows\\Fonts\\consola.ttf',
+    'C:\\Windows\\Fonts\\cour.ttf'
+];
+
+// Vertical samples per pixel row; horizontal coverage is computed exactly
+const SUBSAMPLES = 5;
+// Line segments per quadratic/cubic curve
+const CURVE_STEPS = 8;
+
+export function findSystemFont() {
+    return SYSTEM_FONT_PATHS.find(path => existsSync(path)) || null;
+}
+
+export async function loadFont(path) {
+    const file = await readFile(path);
+    const font = opentype.parse(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength));
+    const familyName = font.names.fontFamily && (font.names.fontFamily.en || Object.values(font.names.fontFamily)[0]);
+    return createGlyphRasterizer(font, familyName || null);
+}
+
+// Wraps a parsed font with cell metrics matching the browser layout
+// (line-height 1, text baseline 'top') and cached glyph coverage maps
+export function createGlyphRasterizer(font, familyName) {
+    const cache = new Map();
+    const advance = font.charToGlyph('M').advanceWidth / font.unitsPerEm;
+    // Baseline inside a 1em line box, splitting the leading like CSS does
+    const ascent = font.ascender / font.unitsPerEm;
+    const descent = -font.descender / font.unitsPerEm;
+    const baseline = ascent + (1 - ascent - descent) / 2;
+
+    return {
+        familyName,
+        // Character cell width / height
+        charRatio: advance,
+
+        // Coverage (0-1) of a glyph drawn at the top-left of a width x height box
+        rasterize(char, size, width, height) {
+            const key = `${char}|${size}|${width}|${height}`;
+            let coverage = cache.get(key);
+            if (!coverage) {
+                const path = font.getPath(char, 0, baseline * size, size);
+                coverage = fillPath(path.commands, width, height);
+                cache.set(key, coverage);
+            }
+            return coverage;
+        }
+    };
+}
+
+// Flatten path commands into line segments [x0, y0, x1, y1, ...]
+function flattenPath(commands) {
+    const segments = [];
+    let startX = 0, startY = 0, x = 0, y = 0;
+    const lineTo = (nx, ny) => {
+        segments.push(x, y, nx, ny);
+        x = nx;
+        y = ny;
+    };
+
+    for (const cmd of commands) {
+        if (cmd.type === 'M') {
+            if (x !== startX || y !== startY) lineTo(startX, startY);
+            startX = x = cmd.x;
+            startY = y = cmd.y;
+        } else if (cmd.type === 'L') {
+            lineTo(cmd.x, cmd.y);
+        } else if (cmd.type === 'Q') {
+            const x0 = x, y0 = y;
+            for (let i = 1; i <= CURVE_STEPS; i++) {
+                const t = i / CURVE_STEPS, u = 1 - t;
+                lineTo(u * u * x0 + 2 * u * t * cmd.x1 + t * t * cmd.x,
+                    u * u * y0 + 2 * u * t * cmd.y1 + t * t * cmd.y);
+            }
+        } else if (cmd.type === 'C') {
+            const x0 = x, y0 = y;
+            for (let i = 1; i <= CURVE_STEPS; i++) {
+                const t = i / CURVE_STEPS, u = 1 - t;
+                lineTo(u * u * u * x0 + 3 * u * u * t * cmd.x1 + 3 * u * t * t * cmd.x2 + t * t * t * cmd.x,
+                    u * u * u * y0 + 3 * u * u * t * cmd.y1 + 3 * u * t * t * cmd.y2 + t * t * t * cmd.y);
+            }
+        } else if (cmd.type === 'Z') {
+            lineTo(startX, startY);
+        }
+    }
+    if (x !== startX || y !== startY) lineTo(startX, startY);
+    return segments;
+}
+
+// Anti-aliased nonzero fill: each sub-scanline adds the exact horizontal span coverage
+function fillPath(commands, width, height) {
+    const coverage = new Float32Array(width * height);
+    const segments = flattenPath(commands);
+    const crossings = [];
+
+    for (let row = 0; row < height; row++) {
+        for (let s = 0; s < SUBSAMPLES; s++) {
+            const sy = row + (s + 0.5) / SUBSAMPLES;
+            crossings.length = 0;
+            for (let i = 0; i < segments.length; i += 4) {
+                const y0 = segments[i + 1], y1 = segments[i + 3];
+                if ((y0 <= sy) === (y1 <= sy)) continue;
+                const x0 = segments[i], x1 = segments[i + 2];
+                crossings.push({ x: x0 + (sy - y0) * (x1 - x0) / (y1 - y0), dir: y1 > y0 ? 1 : -1 });
+            }
+            crossings.sort((a, b) => a.x - b.x);
+
+            let winding = 0;
+            for (let i = 0; i < crossings.length - 1; i++) {
+                winding += crossings[i].dir;
+                if (winding !== 0) {
+                    addSpan(coverage, row * width, width, crossings[i].x, crossings[i + 1].x, 1 / SUBSAMPLES);
+                }
+            }
+        }
+    }
+
+    for (let i = 0; i < coverage.length; i++) {
+        if (coverage[i] > 1) coverage[i] = 1;
+    }
+    return coverage;
+}
+
+function addSpan(coverage, rowOffset, width, left, right, weight) {
+    left = Math.max(0, left);
+    right = Math.min(width, right);
+    if (right <= left) return;
+    const first = Math.floor(left);
+    const last = Math.min(width - 1, Math.floor(right));
+    if (first === last) {
+        coverage[rowOffset + first] += (right - left) * weight;
+        return;
+    }
+    coverage[rowOffset + first] += (first + 1 - left) * weight;
+    for (let x = first + 1; x < last; x++) {
+        coverage[rowOffset + x] += weight;
+    }
+    if (last < width) {
+        coverage[rowOffset + last] += (right - last) * weight;
+    }
+}
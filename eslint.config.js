@@ -0,0 +1,23 @@
+import globals from 'globals';
+
+export default [
+    {
+        ignores: ['gif.worker.js', 'wasm-src/']
+    },
+    {
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'module',
+            globals: {
+                ...globals.browser,
+                ...globals.node,
+                // gif.js, loaded with a script tag in index.html
+                GIF: 'readonly'
+            }
+        },
+        rules: {
+            'no-undef': 'error',
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }]
+        }
+    }
+];
@@ -0,0 +1,195 @@
+// Text and vector exporters shared by the web UI and the command-line tool
+// Output is described as rows of cells { char, fg: [r, g, b, alpha], bg: [r, g, b] | null }
+
+import { ANSI_256 } from './ascii-core.js';
+
+// Basic 16 terminal colors (SGR 30-37 / 90-97) are the first 16 xterm entries
+const ANSI_16 = ANSI_256.slice(0, 16);
+
+// Find index of the nearest color in palette
+export function nearestColorIndex(r, g, b, palette) {
+    let minDist = Infinity;
+    let nearest = 0;
+    for (let i = 0; i < palette.length; i++) {
+        const c = palette[i];
+        const dr = r - c[0], dg = g - c[1], db = b - c[2];
+        const dist = dr * dr + dg * dg + db * db;
+        if (dist < minDist) {
+            minDist = dist;
+            nearest = i;
+        }
+    }
+    return nearest;
+}
+
+export function escapeXml(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+export function rgbToHex(rgb) {
+    return '#' + rgb.map(c => c.toString(16).padStart(2, '0')).join('');
+}
+
+// Split conversion core output (text plus optional per-cell color arrays) into cell rows
+export function cellsFromColors(ascii, colors, defaultFg, baseOpacity) {
+    const rows = [];
+    let idx = 0;
+    for (const line of ascii.split('\n')) {
+        if (!line) continue;
+        const cells = [];
+        for (const char of line) {
+            let fg = [...defaultFg, baseOpacity];
+            let bg = null;
+            if (colors) {
+                if (colors.colorR) {
+                    fg = [colors.colorR[idx], colors.colorG[idx], colors.colorB[idx], colors.opacities[idx]];
+                } else {
+                    fg = [...defaultFg, colors.opacities[idx]];
+                }
+                if (colors.bgR) {
+                    bg = [colors.bgR[idx], colors.bgG[idx], colors.bgB[idx]];
+                }
+            }
+            cells.push({ char, fg, bg });
+            idx++;
+        }
+        rows.push(cells);
+    }
+    return rows;
+}
+
+// SGR parameters for a color at the given depth ('truecolor', 'ansi256' or 'ansi16')
+function ansiColorCode(rgb, depth, background) {
+    const [r, g, b] = rgb;
+    if (depth === 'ansi16') {
+        const index = nearestColorIndex(r, g, b, ANSI_16);
+        return String((index < 8 ? 30 + index : 82 + index) + (background ? 10 : 0));
+    }
+    if (depth === 'ansi256') {
+        return `${background ? 48 : 38};5;${nearestColorIndex(r, g, b, ANSI_256)}`;
+    }
+    return `${background ? 48 : 38};2;${r};${g};${b}`;
+}
+
+// Build text with SGR escape sequences, emitting a code only when the color
+// actually changes. Opacity is blended against the cell (or output) background;
+// fillBg paints cells without their own background (e.g. monochrome output).
+export function buildAnsiText(rows, { depth = 'truecolor', outputBg, fillBg = null }) {
+    const lines = rows.map(cells => {
+        let line = '';
+        let currentFg = null;
+        let currentBg = null;
+
+        for (const { char, fg, bg } of cells) {
+            const cellBg = bg || fillBg;
+            const bgCode = cellBg ? ansiColorCode(cellBg, depth, true) : null;
+            let fgCode = currentFg;
+
+            // Foreground doesn't matter for blanks, so keep whatever is active
+            if (char !== ' ') {
+                const under = cellBg || outputBg;
+                const alpha = fg[3];
+                const blended = [0, 1, 2].map(c => Math.round(fg[c] * alpha + under[c] * (1 - alpha)));
+                fgCode = ansiColorCode(blended, depth, false);
+            }
+
+            const codes = [];
+            if (bgCode !== currentBg) {
+                codes.push(bgCode === null ? '49' : bgCode);
+                currentBg = bgCode;
+            }
+            if (fgCode !== currentFg) {
+                codes.push(fgCode);
+                currentFg = fgCode;
+            }
+            if (codes.length) {
+                line += `\x1b[${codes.join(';')}m`;
+            }
+            line += char;
+        }
+
+        // Reset at line end so backgrounds don't bleed into the rest of the terminal row
+        if (currentFg !== null || currentBg !== null) {
+            line += '\x1b[0m';
+        }
+        return line;
+    });
+
+    return lines.length ? lines.join('\n') + '\n' : '';
+}
+
+// Build a scalable SVG: one <text> per row with <tspan> runs grouped by color
+// and opacity, stretched to the character grid. A null background is transparent.
+export function buildSvg(rows, { fontFamily, fontSize, charWidth, background = null, fontFace = null }) {
+    if (!rows.length) return null;
+
+    const charHeight = fontSize;
+    const padding = 20;
+    const columns = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    const svgWidth = Math.ceil(columns * charWidth) + padding * 2;
+    const svgHeight = rows.length * charHeight + padding * 2;
+
+    const parts = [`<svg xmlns="http://www.w3.org/2000/svg" width="${svgWidth}" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}">`];
+    if (fontFace) {
+        parts.push(`<style>${fontFace}</style>`);
+    }
+
+    if (background) {
+        parts.push(`<rect width="100%" height="100%" fill="${background}"/>`);
+    }
+
+    // Per-cell backgrounds, merged into horizontal runs
+    rows.forEach((cells, row) => {
+        const fills = cells.map(cell => cell.bg ? rgbToHex(cell.bg) : null);
+        let start = 0;
+        for (let i = 1; i <= fills.length; i++) {
+            if (i < fills.length && fills[i] === fills[start]) continue;
+            if (fills[start]) {
+                parts.push(`<rect x="${(padding + start * charWidth).toFixed(2)}" y="${padding + row * charHeight}" ` +
+                    `width="${((i - start) * charWidth).toFixed(2)}" height="${charHeight}" fill="${fills[start]}"/>`);
+            }
+            start = i;
+        }
+    });
+
+    parts.push(`<g font-family="${escapeXml(fontFamily)}" font-size="${fontSize}" dominant-baseline="text-before-edge" xml:space="preserve">`);
+    rows.forEach((cells, row) => {
+        if (!cells.length) return;
+        // Kept on one line: whitespace between tspans would render with xml:space="preserve"
+        const line = [`<text x="${padding}" y="${padding + row * charHeight}" textLength="${(cells.length * charWidth).toFixed(2)}" lengthAdjust="spacing">`];
+
+        let runText = '';
+        let runFill = null;
+        let runOpacity = 1;
+        const flush = () => {
+            if (!runText) return;
+            if (runFill === null) {
+                line.push(runText);
+            } else {
+                const opacity = runOpacity < 1 ? ` fill-opacity="${runOpacity}"` : '';
+                line.push(`<tspan fill="${runFill}"${opacity}>${runText}</tspan>`);
+            }
+            runText = '';
+        };
+
+        for (const { char, fg } of cells) {
+            // Spaces join whatever run is open since their color is invisible
+            if (char !== ' ') {
+                const fill = rgbToHex(fg.slice(0, 3));
+                const opacity = Math.round(fg[3] * 100) / 100;
+                if (fill !== runFill || opacity !== runOpacity) {
+                    flush();
+                    runFill = fill;
+                    runOpacity = opacity;
+                }
+            }
+            runText += escapeXml(char);
+        }
+        flush();
+        line.push('</text>');
+        parts.push(line.join(''));
+    });
+    parts.push('</g></svg>');
+
+    return parts.join('\n');
+}
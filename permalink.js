@@ -0,0 +1,83 @@
+// Shareable links: settings (and optionally a tiny source image) in the URL fragment
+// Fragment layout: #v=<version>&s=<settings>[&i=<png>], values base64url-encoded.
+// Settings are stored as the differences from DEFAULT_SETTINGS, deflated when the
+// browser supports CompressionStream ("z" prefix) and plain JSON otherwise ("j").
+
+import { DEFAULT_SETTINGS, SETTINGS_SCHEMA_VERSION, migrateSettings, validateSettings } from './settings.js';
+
+export const PERMALINK_VERSION = 1;
+
+export function base64UrlEncode(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64UrlDecode(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+async function transformBytes(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+// Build the fragment (including '#') for a settings object and optional PNG bytes
+export async function encodePermalink(settings, imageBytes = null) {
+    const changed = { schemaVersion: SETTINGS_SCHEMA_VERSION };
+    for (const [key, value] of Object.entries(settings)) {
+        // Compared as JSON so array settings (the tone curve) match by value
+        if (JSON.stringify(value) !== JSON.stringify(DEFAULT_SETTINGS[key])) changed[key] = value;
+    }
+    const json = new TextEncoder().encode(JSON.stringify(changed));
+    const encoded = typeof CompressionStream === 'function'
+        ? 'z' + base64UrlEncode(await transformBytes(json, new CompressionStream('deflate-raw')))
+        : 'j' + base64UrlEncode(json);
+
+    let fragment = `#v=${PERMALINK_VERSION}&s=${encoded}`;
+    if (imageBytes) {
+        fragment += `&i=${base64UrlEncode(imageBytes)}`;
+    }
+    return fragment;
+}
+
+// Parse a fragment into { settings, ignored, image } (image is a PNG data URL or null).
+// Returns null when the fragment isn't a permalink; throws on damaged or newer links.
+export async function decodePermalink(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const version = params.get('v');
+    const encoded = params.get('s');
+    if (!version || !encoded) return null;
+    if (Number(version) > PERMALINK_VERSION) {
+        throw new Error('This link was made by a newer version of the app');
+    }
+
+    let json;
+    if (encoded[0] === 'z') {
+        json = await transformBytes(base64UrlDecode(encoded.slice(1)), new DecompressionStream('deflate-raw'));
+    } else if (encoded[0] === 'j') {
+        json = base64UrlDecode(encoded.slice(1));
+    } else {
+        throw new Error('Unknown link encoding');
+    }
+
+    let parsed = JSON.parse(new TextDecoder().decode(json));
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        parsed = migrateSettings(parsed);
+    }
+    const { settings, ignored } = validateSettings(parsed);
+    // The image stays encoded; base64url only differs from a data URL's base64 by two characters and padding
+    let image = params.get('i');
+    if (image) {
+        image = image.replace(/-/g, '+').replace(/_/g, '/');
+        image = 'data:image/png;base64,' + image + '='.repeat((4 - image.length % 4) % 4);
+    }
+    return { settings: { ...DEFAULT_SETTINGS, ...settings }, ignored, image };
+}
@@ -0,0 +1,609 @@
+// Shared settings schema and presets
+// Used by the web UI (app.js) and the command-line tool (cli/)
+
+// Character sets
+export const CHAR_SETS = {
+    standard: '@%#+=*-:. ',
+    detailed: '$@B%8&WM#oahkbdpqwmZO0QLCJUYXzcvunxrjft/\\|()1{}[]?-_+~*<>i!lI;:,"^`\'. ',
+    blocks: '█▓▒░ ',
+    simple: '#. ',
+    single: '█'
+};
+
+// Edge detection characters by direction
+export const EDGE_CHARS = {
+    horizontal: '-',
+    vertical: '|',
+    diag1: '/',
+    diag2: '\\',
+    corner: '+',
+    none: ' '
+};
+
+// Sub-pixel sampling grid [columns, rows] per character cell for each algorithm
+export const SUB_CELL_GRIDS = {
+    braille: [2, 4],
+    halfblock: [1, 2],
+    quadrant: [2, 2],
+    shape: [4, 8]
+};
+
+// Block glyphs indexed by quadrant mask (TL=1, TR=2, BL=4, BR=8)
+export const BLOCK_CHARS = ' ▘▝▀▖▌▞▛▗▚▐▜▄▙▟█';
+
+// Default settings preset
+export const DEFAULT_SETTINGS = {
+    // Display
+    outputBackground: 'dark',
+    charsPerRow: 100,
+    fontSize: 10,
+    autoFitFontSize: false,
+    autoRatio: true,
+    charRatio: 0.5,
+    // Character Set
+    algorithm: 'brightness',
+    edgeOperator: 'sobel',
+    edgeThreshold: 20,
+    brailleThreshold: 50,
+    brailleDither: false,
+    shapeMetric: 'l2',
+    dither: 'none',
+    charSetPreset: 'standard',
+    customChars: '@%#+=*-:. ',
+    // Output
+    colorMode: 'truecolor',
+    colorDither: 'none',
+    // Adaptive palette generation: 'median-cut' (RGB) or 'oklab' (perceptual k-means)
+    quantizer: 'median-cut',
+    invertBrightness: true,
+    // Histogram equalization: 'none', 'global' or 'adaptive' (CLAHE)
+    equalization: 'global',
+    claheTileSize: 16,
+    claheClipLimit: 2,
+    contrast: 100,
+    blackPoint: 0,
+    whitePoint: 255,
+    gamma: 1,
+    // Tone curve control points [input, output], 0-255, sorted by input
+    toneCurve: [[0, 0], [255, 255]],
+    brightnessBlend: 50,
+    saturation: 100,
+    opacity: 100,
+    brightnessAsOpacity: false,
+    monoFg: '#f0f0f0',
+    monoBg: '#0d0d0d',
+    // Video and webcam anti-flicker strength (percent)
+    temporalSmoothing: 50
+};
+
+// Built-in settings presets
+export const SETTINGS_PRESETS = {
+    'default': {
+        name: 'Default',
+        settings: { ...DEFAULT_SETTINGS, autoFitFontSize: true }
+    },
+    'high-detail': {
+        name: 'High Detail',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            charsPerRow: 150,
+            charSetPreset: 'detailed',
+            customChars: '$@B%8&WM#oahkbdpqwmZO0QLCJUYXzcvunxrjft/\\|()1{}[]?-_+~*<>i!lI;:,"^`\'. ',
+            colorMode: 'truecolor'
+        }
+    },
+    'retro-terminal': {
+        name: 'Retro Terminal',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            charSetPreset: 'simple',
+            customChars: '#. ',
+            colorMode: 'monochrome',
+            monoFg: '#33ff33',
+            monoBg: '#0a0a0a',
+            invertBrightness: true
+        }
+    },
+    'classic-ascii': {
+        name: 'Classic ASCII',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            colorMode: 'monochrome',
+            monoFg: '#ffffff',
+            monoBg: '#000000'
+        }
+    },
+    'print-friendly': {
+        name: 'Print Friendly',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            outputBackground: 'light',
+            colorMode: 'monochrome',
+            invertBrightness: false,
+            monoFg: '#000000',
+            monoBg: '#ffffff'
+        }
+    },
+    'colorful': {
+        name: 'Colorful',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            colorMode: 'truecolor',
+            saturation: 150,
+            contrast: 120
+        }
+    },
+    'limited-palette': {
+        name: 'Limited Palette (16)',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            colorMode: 'adaptive16',
+            contrast: 110
+        }
+    },
+    'grayscale': {
+        name: 'Grayscale',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            colorMode: 'adaptive16',
+            saturation: 0
+        }
+    },
+    'blocks': {
+        name: 'Blocks',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            charSetPreset: 'blocks',
+            customChars: '█▓▒░ ',
+            colorMode: 'truecolor'
+        }
+    },
+    'blocks-grayscale': {
+        name: 'Blocks Grayscale',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            charSetPreset: 'blocks',
+            customChars: '█▓▒░ ',
+            colorMode: 'adaptive16',
+            saturation: 0
+        }
+    },
+    'opacity-color': {
+        name: 'Opacity (Color)',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            charSetPreset: 'single',
+            customChars: '█',
+            colorMode: 'truecolor',
+            brightnessAsOpacity: true
+        }
+    },
+    'opacity-grayscale': {
+        name: 'Opacity (Grayscale)',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            charSetPreset: 'single',
+            customChars: '█',
+            colorMode: 'adaptive16',
+            saturation: 0,
+            brightnessAsOpacity: true
+        }
+    },
+    'edges': {
+        name: 'Edges',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            algorithm: 'edges',
+            colorMode: 'truecolor',
+            equalization: 'none'
+        }
+    },
+    'edges-hybrid': {
+        name: 'Edges + Brightness',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            algorithm: 'hybrid',
+            edgeThreshold: 30,
+            colorMode: 'monochrome'
+        }
+    },
+    'half-blocks': {
+        name: 'Half Blocks',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            algorithm: 'halfblock',
+            colorMode: 'truecolor',
+            equalization: 'none'
+        }
+    },
+    'dithered-blocks': {
+        name: 'Dithered Blocks',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            charSetPreset: 'blocks',
+            customChars: '█▓▒░ ',
+            dither: 'floyd-steinberg',
+            colorMode: 'adaptive16',
+            colorDither: 'bayer4'
+        }
+    },
+    'structural': {
+        name: 'Structural',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            algorithm: 'shape',
+            shapeMetric: 'ssim',
+            charSetPreset: 'detailed',
+            customChars: CHAR_SETS.detailed,
+            colorMode: 'monochrome',
+            equalization: 'none'
+        }
+    },
+    'braille': {
+        name: 'Braille',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            charsPerRow: 150,
+            algorithm: 'braille',
+            brailleDither: true,
+            colorMode: 'truecolor'
+        }
+    },
+    'game-boy': {
+        name: 'Game Boy',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            algorithm: 'halfblock',
+            colorMode: 'gameboy',
+            colorDither: 'bayer4',
+            equalization: 'none'
+        }
+    },
+    'transparent-overlay': {
+        name: 'Transparent Overlay',
+        settings: {
+            ...DEFAULT_SETTINGS,
+            autoFitFontSize: true,
+            opacity: 60,
+            colorMode: 'truecolor'
+        }
+    }
+};
+
+// Parse a #rrggbb color into [r, g, b]
+export function hexToRgb(hex) {
+    return [
+        parseInt(hex.slice(1, 3), 16),
+        parseInt(hex.slice(3, 5), 16),
+        parseInt(hex.slice(5, 7), 16)
+    ];
+}
+
+// Map UI settings (as produced by getCurrentSettings) to conversion core settings
+export function toConvertSettings(settings) {
+    const [fgR, fgG, fgB] = hexToRgb(settings.monoFg);
+    return {
+        chars: settings.customChars || '@%#*+=-:. ',
+        algorithm: settings.algorithm,
+        edgeOperator: settings.edgeOperator,
+        edgeThreshold: settings.edgeThreshold / 100,
+        edgeChars: EDGE_CHARS,
+        brailleThreshold: settings.brailleThreshold / 100,
+        brailleDither: settings.brailleDither,
+        shapeMetric: settings.shapeMetric,
+        blockChars: BLOCK_CHARS,
+        dither: settings.dither,
+        colorDither: settings.colorDither,
+        quantizer: settings.quantizer,
+        invert: settings.invertBrightness,
+        contrast: settings.contrast / 100,
+        histogram: settings.equalization === 'global',
+        clahe: settings.equalization === 'adaptive',
+        claheTileSize: settings.claheTileSize,
+        claheClipLimit: settings.claheClipLimit,
+        toneLut: buildToneLut(settings),
+        colorMode: settings.colorMode,
+        saturation: settings.saturation / 100,
+        blend: settings.brightnessBlend / 100,
+        baseOpacity: settings.opacity / 100,
+        brightnessOpacity: settings.brightnessAsOpacity,
+        temporalStrength: settings.temporalSmoothing / 100,
+        fgR,
+        fgG,
+        fgB
+    };
+}
+
+// Version of the settings shape, stored with saved settings as schemaVersion.
+// Bump it and add a migration below whenever fields are added, renamed or change meaning.
+export const SETTINGS_SCHEMA_VERSION = 6;
+
+// Migrations from each older version to the next
+const SETTINGS_MIGRATIONS = {
+    // 1: saves from before the algorithm and dithering options existed. They
+    // rendered with plain brightness mapping, so pin that instead of keeping
+    // whatever the UI currently has selected.
+    1: settings => ({ algorithm: 'brightness', dither: 'none', colorDither: 'none', ...settings }),
+    // 2: saves from before levels and the tone curve, which rendered untouched tones
+    2: settings => ({ blackPoint: 0, whitePoint: 255, gamma: 1, toneCurve: [[0, 0], [255, 255]], ...settings }),
+    // 3: the histogramEq checkbox became the equalization option
+    3: ({ histogramEq, ...settings }) => histogramEq === undefined
+        ? settings
+        : { equalization: histogramEq ? 'global' : 'none', ...settings },
+    // 4: saves from before temporal smoothing, when video frames were converted independently
+    4: settings => ({ temporalSmoothing: 0, ...settings }),
+    // 5: saves from before the perceptual quantizer, when adaptive palettes used median cut
+    5: settings => ({ quantizer: 'median-cut', ...settings })
+};
+
+// Upgrade a saved settings object to the current version (unversioned saves are version 1)
+export function migrateSettings(settings) {
+    let version = Number.isInteger(settings.schemaVersion) ? settings.schemaVersion : 1;
+    let migrated = settings;
+    while (version < SETTINGS_SCHEMA_VERSION) {
+        migrated = SETTINGS_MIGRATIONS[version](migrated);
+        version++;
+    }
+    return { ...migrated, schemaVersion: Math.max(version, SETTINGS_SCHEMA_VERSION) };
+}
+
+const DITHER_VALUES = ['none', 'floyd-steinberg', 'atkinson', 'jarvis-judice-ninke', 'bayer4', 'bayer8'];
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+export const TONE_CURVE_MAX_POINTS = 16;
+
+// Allowed values for settings beyond their type: numeric ranges (matching the UI sliders),
+// enum options and string patterns. Settings not listed here only need the right type.
+export const SETTINGS_SCHEMA = {
+    outputBackground: { values: ['dark', 'light'] },
+    charsPerRow: { min: 20, max: 300, integer: true },
+    fontSize: { min: 4, max: 48, integer: true },
+    charRatio: { min: 0.3, max: 1 },
+    algorithm: { values: ['brightness', 'edges', 'hybrid', 'braille', 'halfblock', 'quadrant', 'shape'] },
+    edgeOperator: { values: ['sobel', 'scharr'] },
+    edgeThreshold: { min: 1, max: 100, integer: true },
+    brailleThreshold: { min: 1, max: 99, integer: true },
+    shapeMetric: { values: ['l2', 'ssim'] },
+    dither: { values: DITHER_VALUES },
+    colorMode: {
+        values: ['monochrome', 'truecolor', 'adaptive4', 'adaptive8', 'adaptive16', 'adaptive64', 'adaptive128', 'adaptive256',
+            'ansi256', 'vga16', 'cga', 'ega', 'c64', 'gameboy', 'pico8', 'windows']
+    },
+    colorDither: { values: DITHER_VALUES },
+    quantizer: { values: ['median-cut', 'oklab'] },
+    equalization: { values: ['none', 'global', 'adaptive'] },
+    claheTileSize: { min: 4, max: 64, integer: true },
+    claheClipLimit: { min: 1, max: 10 },
+    contrast: { min: 50, max: 400, integer: true },
+    blackPoint: { min: 0, max: 254, integer: true },
+    whitePoint: { min: 1, max: 255, integer: true },
+    gamma: { min: 0.1, max: 5 },
+    toneCurve: { points: TONE_CURVE_MAX_POINTS },
+    brightnessBlend: { min: 0, max: 100, integer: true },
+    saturation: { min: 0, max: 200, integer: true },
+    opacity: { min: 5, max: 100, integer: true },
+    monoFg: { pattern: COLOR_PATTERN },
+    monoBg: { pattern: COLOR_PATTERN },
+    temporalSmoothing: { min: 0, max: 100, integer: true }
+};
+
+// Check fields against DEFAULT_SETTINGS types and SETTINGS_SCHEMA. Out-of-range numbers
+// are clamped; unknown fields, wrong types and unknown options are dropped.
+// Returns the accepted fields plus a description of everything dropped or changed.
+export function validateSettings(input) {
+    const settings = {};
+    const ignored = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { settings, ignored: ['not a settings object'] };
+    }
+    for (const [key, value] of Object.entries(input)) {
+        if (key === 'schemaVersion') continue;
+        const expected = typeof DEFAULT_SETTINGS[key];
+        const rule = SETTINGS_SCHEMA[key];
+        if (!(key in DEFAULT_SETTINGS)) {
+            ignored.push(`${key} (unknown setting)`);
+        } else if (typeof value !== expected || (expected === 'number' && !Number.isFinite(value))) {
+            ignored.push(`${key} (expected a ${expected})`);
+        } else if (rule && rule.values && !rule.values.includes(value)) {
+            ignored.push(`${key} (unknown option "${value}")`);
+        } else if (rule && rule.pattern && !rule.pattern.test(value)) {
+            ignored.push(`${key} (invalid value "${value}")`);
+        } else if (rule && rule.points) {
+            const curve = normalizeToneCurve(value, rule.points);
+            if (curve) {
+                if (JSON.stringify(curve) !== JSON.stringify(value)) {
+                    ignored.push(`${key} (points adjusted)`);
+                }
+                settings[key] = curve;
+            } else {
+                ignored.push(`${key} (expected 2-${rule.points} [input, output] points)`);
+            }
+        } else if (rule && rule.min !== undefined) {
+            let clamped = Math.min(rule.max, Math.max(rule.min, value));
+            if (rule.integer) clamped = Math.round(clamped);
+            if (clamped !== value) {
+                ignored.push(`${key} (${value} changed to ${clamped})`);
+            }
+            settings[key] = clamped;
+        } else {
+            settings[key] = value;
+        }
+    }
+    return { settings, ignored };
+}
+
+// Tone curve points as rounded, in-range [input, output] pairs sorted by input with
+// unique inputs, or null when the value isn't a usable curve
+function normalizeToneCurve(value, maxPoints) {
+    if (!Array.isArray(value) || value.length < 2 || value.length > maxPoints) return null;
+    const points = [];
+    for (const point of value) {
+        if (!Array.isArray(point) || point.length !== 2 || !point.every(Number.isFinite)) return null;
+        points.push(point.map(v => Math.min(255, Math.max(0, Math.round(v)))));
+    }
+    points.sort((a, b) => a[0] - b[0]);
+    const unique = points.filter((point, i) => i === 0 || point[0] !== points[i - 1][0]);
+    return unique.length >= 2 ? unique : null;
+}
+
+// Monotone cubic (Fritsch-Carlson) interpolation through the curve points, so the
+// curve never overshoots between them. Flat outside the first and last point.
+export function toneCurveInterpolator(points) {
+    const n = points.length;
+    const xs = points.map(p => p[0]);
+    const ys = points.map(p => p[1]);
+    const secants = [];
+    for (let i = 0; i < n - 1; i++) {
+        secants.push((ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]));
+    }
+    const tangents = [secants[0]];
+    for (let i = 1; i < n - 1; i++) {
+        tangents.push(secants[i - 1] * secants[i] <= 0 ? 0 : (secants[i - 1] + secants[i]) / 2);
+    }
+    tangents.push(secants[n - 2]);
+    for (let i = 0; i < n - 1; i++) {
+        if (secants[i] === 0) {
+            tangents[i] = tangents[i + 1] = 0;
+            continue;
+        }
+        const a = tangents[i] / secants[i];
+        const b = tangents[i + 1] / secants[i];
+        const s = a * a + b * b;
+        if (s > 9) {
+            const t = 3 / Math.sqrt(s);
+            tangents[i] = t * a * secants[i];
+            tangents[i + 1] = t * b * secants[i];
+        }
+    }
+
+    return x => {
+        if (x <= xs[0]) return ys[0];
+        if (x >= xs[n - 1]) return ys[n - 1];
+        let k = 0;
+        while (x > xs[k + 1]) k++;
+        const h = xs[k + 1] - xs[k];
+        const t = (x - xs[k]) / h;
+        const t2 = t * t, t3 = t2 * t;
+        return (2 * t3 - 3 * t2 + 1) * ys[k] + (t3 - 2 * t2 + t) * h * tangents[k] +
+            (-2 * t3 + 3 * t2) * ys[k + 1] + (t3 - t2) * h * tangents[k + 1];
+    };
+}
+
+// Levels (black point, white point, gamma) followed by the tone curve as a
+// 256-entry brightness lookup table (0-1 values), or null when it changes nothing
+export function buildToneLut(settings) {
+    const { blackPoint = 0, whitePoint = 255, gamma = 1, toneCurve = DEFAULT_SETTINGS.toneCurve } = settings;
+    const identityCurve = toneCurve.every(([x, y]) => x === y) &&
+        toneCurve[0][0] === 0 && toneCurve[toneCurve.length - 1][0] === 255;
+    if (blackPoint === 0 && whitePoint === 255 && gamma === 1 && identityCurve) {
+        return null;
+    }
+
+    const curve = toneCurveInterpolator(toneCurve);
+    const range = Math.max(1, whitePoint - blackPoint);
+    const lut = new Float32Array(256);
+    for (let i = 0; i < 256; i++) {
+        const level = Math.min(1, Math.max(0, (i - blackPoint) / range)) ** (1 / gamma);
+        lut[i] = Math.min(1, Math.max(0, curve(level * 255) / 255));
+    }
+    return lut;
+}
+
+// Preset files: settings presets and character sets, shared between browsers and the CLI
+export const PRESET_FILE_FORMAT = 'ascii-art-studio-presets';
+export const PRESET_FILE_VERSION = 1;
+
+// Presets are stamped with the current schema version so they migrate correctly later
+export function createPresetFile({ settingsPresets = {}, charPresets = {} }) {
+    const versioned = {};
+    for (const [name, settings] of Object.entries(settingsPresets)) {
+        versioned[name] = { schemaVersion: SETTINGS_SCHEMA_VERSION, ...settings };
+    }
+    return {
+        format: PRESET_FILE_FORMAT,
+        version: PRESET_FILE_VERSION,
+        settingsPresets: versioned,
+        charPresets
+    };
+}
+
+// Parse and validate a preset file. A bare settings object (as saved by the web UI
+// or passed to the CLI) is accepted as a single preset called fallbackName.
+// Throws on files that can't be used at all; per-field problems are reported in ignored.
+export function parsePresetFile(data, fallbackName = 'Imported') {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Not a preset file');
+    }
+
+    const ignored = [];
+    const settingsPresets = {};
+    const charPresets = {};
+
+    if (data.format === undefined) {
+        const { settings, ignored: fields } = validateSettings(data);
+        if (!Object.keys(settings).length) {
+            throw new Error('Not a preset file');
+        }
+        settingsPresets[fallbackName] = settings;
+        fields.forEach(field => ignored.push(`${fallbackName}: ${field}`));
+        return { settingsPresets, charPresets, ignored };
+    }
+
+    if (data.format !== PRESET_FILE_FORMAT) {
+        throw new Error('Not a preset file');
+    }
+    if (!Number.isInteger(data.version) || data.version > PRESET_FILE_VERSION) {
+        throw new Error(`Unsupported preset file version ${data.version}`);
+    }
+
+    for (const [name, value] of Object.entries(data.settingsPresets || {})) {
+        // Entries are saved presets, so older ones are migrated like stored presets
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        const { settings, ignored: fields } = validateSettings(isObject ? migrateSettings(value) : value);
+        if (!name.trim() || !Object.keys(settings).length) {
+            ignored.push(`preset "${name}" (no usable settings)`);
+            continue;
+        }
+        settingsPresets[name.trim()] = settings;
+        fields.forEach(field => ignored.push(`${name}: ${field}`));
+    }
+    for (const [name, chars] of Object.entries(data.charPresets || {})) {
+        if (!name.trim() || typeof chars !== 'string' || !chars) {
+            ignored.push(`character set "${name}" (expected a non-empty string)`);
+            continue;
+        }
+        charPresets[name.trim()] = chars;
+    }
+    for (const key of Object.keys(data)) {
+        if (!['format', 'version', 'settingsPresets', 'charPresets'].includes(key)) {
+            ignored.push(`${key} (unknown field)`);
+        }
+    }
+
+    return { settingsPresets, charPresets, ignored };
+}
+
+// Pick a name that isn't taken yet: "Name", "Name (2)", "Name (3)", ...
+export function uniquePresetName(name, isTaken) {
+    if (!isTaken(name)) return name;
+    let n = 2;
+    while (isTaken(`${name} (${n})`)) n++;
+    return `${name} (${n})`;
+}
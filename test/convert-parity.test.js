@@ -0,0 +1,63 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SETTINGS, toConvertSettings } from '../settings.js';
+
+// Two instances of the core: one never loads WASM and runs the JS fallbacks
+const js = await import('../ascii-core.js?js');
+const wasm = await import('../ascii-core.js?wasm');
+
+before(async () => {
+    assert.equal(await wasm.initWasm(), true);
+});
+
+function gradient(width, height) {
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            pixels[i] = (x * 7 + y * 3) % 256;
+            pixels[i + 1] = (Math.sin(x / 9) * 120 + 128) | 0;
+            pixels[i + 2] = (y * 5) % 256;
+            pixels[i + 3] = 255;
+        }
+    }
+    return pixels;
+}
+
+const SUBCELLS = { braille: [2, 4], halfblock: [1, 2], quadrant: [2, 2] };
+
+const CASES = [
+    { algorithm: 'brightness' },
+    { algorithm: 'edges' },
+    { algorithm: 'hybrid', edgeOperator: 'scharr' },
+    { algorithm: 'brightness', dither: 'floyd-steinberg' },
+    { algorithm: 'brightness', dither: 'bayer8' },
+    { algorithm: 'brightness', equalization: 'adaptive' },
+    { algorithm: 'brightness', equalization: 'none', contrast: 140, gamma: 1.4 },
+    { algorithm: 'brightness', customChars: '█▓▒░ ' },
+    { algorithm: 'brightness', customChars: '😀🙂·  ' },
+    { algorithm: 'braille' },
+    { algorithm: 'quadrant' },
+    { colorMode: 'adaptive16', colorDither: 'atkinson' },
+    { colorMode: 'adaptive16', quantizer: 'oklab' },
+    { colorMode: 'pico8', saturation: 150, brightnessBlend: 80 },
+    { colorMode: 'ansi256', brightnessAsOpacity: true },
+    { algorithm: 'halfblock', colorMode: 'adaptive8', quantizer: 'oklab' }
+];
+
+for (const [width, height] of [[60, 30], [160, 90]]) {
+    for (const overrides of CASES) {
+        test(`WASM matches JS at ${width}x${height} for ${JSON.stringify(overrides)}`, () => {
+            const settings = toConvertSettings({ ...DEFAULT_SETTINGS, ...overrides });
+            const [gx, gy] = SUBCELLS[overrides.algorithm] || [1, 1];
+            const pixels = gradient(width * gx, height * gy);
+            js.clearCaches();
+            wasm.clearCaches();
+            const expected = js.convert(pixels, width, height, settings);
+            const actual = wasm.convert(pixels, width, height, settings);
+            assert.equal(actual.ascii, expected.ascii);
+            assert.equal(actual.html, expected.html);
+            assert.deepEqual(actual.colors, expected.colors);
+        });
+    }
+}
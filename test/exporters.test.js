@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nearestColorIndex, escapeXml, rgbToHex, cellsFromColors, buildAnsiText, buildSvg } from '../exporters.js';
+
+const RED = [255, 0, 0, 1];
+const WHITE = [255, 255, 255, 1];
+
+test('nearestColorIndex picks the closest palette entry, first on ties', () => {
+    const palette = [[0, 0, 0], [255, 255, 255], [250, 0, 0], [250, 0, 0]];
+    assert.equal(nearestColorIndex(20, 10, 10, palette), 0);
+    assert.equal(nearestColorIndex(200, 200, 220, palette), 1);
+    assert.equal(nearestColorIndex(255, 0, 0, palette), 2);
+});
+
+test('escapeXml and rgbToHex', () => {
+    assert.equal(escapeXml(`<a href="x">&'</a>`), '&lt;a href=&quot;x&quot;&gt;&amp;&apos;&lt;/a&gt;');
+    assert.equal(rgbToHex([255, 8, 0]), '#ff0800');
+});
+
+test('cellsFromColors splits text into rows of colored cells', () => {
+    const colors = {
+        colorR: [1, 2, 3], colorG: [4, 5, 6], colorB: [7, 8, 9], opacities: [1, 0.5, 0.25],
+        bgR: [10, 11, 12], bgG: [13, 14, 15], bgB: [16, 17, 18]
+    };
+    assert.deepEqual(cellsFromColors('ab\nc\n', colors, [0, 0, 0], 1), [
+        [{ char: 'a', fg: [1, 4, 7, 1], bg: [10, 13, 16] }, { char: 'b', fg: [2, 5, 8, 0.5], bg: [11, 14, 17] }],
+        [{ char: 'c', fg: [3, 6, 9, 0.25], bg: [12, 15, 18] }]
+    ]);
+    assert.deepEqual(cellsFromColors('█\n', null, [9, 9, 9], 0.8), [[{ char: '█', fg: [9, 9, 9, 0.8], bg: null }]]);
+    assert.deepEqual(cellsFromColors('x\n', { opacities: [0.3] }, [9, 9, 9], 1), [[{ char: 'x', fg: [9, 9, 9, 0.3], bg: null }]]);
+});
+
+test('ANSI text only emits codes when the color changes and blends opacity', () => {
+    const rows = [[
+        { char: 'a', fg: RED, bg: null },
+        { char: 'b', fg: RED, bg: null },
+        { char: ' ', fg: [0, 0, 255, 1], bg: null },
+        { char: 'c', fg: [0, 0, 255, 0.5], bg: null }
+    ]];
+    assert.equal(buildAnsiText(rows, { outputBg: [0, 0, 0] }),
+        '\x1b[38;2;255;0;0mab \x1b[38;2;0;0;128mc\x1b[0m\n');
+    assert.equal(buildAnsiText(rows, { depth: 'ansi256', outputBg: [0, 0, 0] }),
+        '\x1b[38;5;9mab \x1b[38;5;4mc\x1b[0m\n');
+});
+
+test('ANSI backgrounds are set per cell, filled and reset', () => {
+    const rows = [[{ char: 'x', fg: WHITE, bg: [0, 0, 255] }, { char: 'y', fg: WHITE, bg: null }]];
+    assert.equal(buildAnsiText(rows, { depth: 'ansi16', outputBg: [0, 0, 0] }),
+        '\x1b[104;97mx\x1b[49my\x1b[0m\n');
+    assert.equal(buildAnsiText([[{ char: ' ', fg: WHITE, bg: null }]], { outputBg: [0, 0, 0], fillBg: [0, 0, 0] }),
+        '\x1b[48;2;0;0;0m \x1b[0m\n');
+    assert.equal(buildAnsiText([], { outputBg: [0, 0, 0] }), '');
+});
+
+test('SVG groups runs by color, merges backgrounds and escapes text', () => {
+    const rows = [
+        [
+            { char: '<', fg: RED, bg: [0, 0, 255] },
+            { char: ' ', fg: WHITE, bg: [0, 0, 255] },
+            { char: '&', fg: RED, bg: null },
+            { char: 'o', fg: [255, 0, 0, 0.333], bg: null }
+        ],
+        []
+    ];
+    const svg = buildSvg(rows, { fontFamily: 'A "B"', fontSize: 10, charWidth: 6, background: '#000000' });
+    assert.equal(svg, [
+        '<svg xmlns="http://www.w3.org/2000/svg" width="64" height="60" viewBox="0 0 64 60">',
+        '<rect width="100%" height="100%" fill="#000000"/>',
+        '<rect x="20.00" y="20" width="12.00" height="10" fill="#0000ff"/>',
+        '<g font-family="A &quot;B&quot;" font-size="10" dominant-baseline="text-before-edge" xml:space="preserve">',
+        '<text x="20" y="20" textLength="24.00" lengthAdjust="spacing">' +
+            '<tspan fill="#ff0000">&lt; &amp;</tspan><tspan fill="#ff0000" fill-opacity="0.33">o</tspan></text>',
+        '</g></svg>'
+    ].join('\n'));
+    assert.equal(buildSvg([], { fontFamily: 'monospace', fontSize: 10, charWidth: 6 }), null);
+});
+
+test('SVG embeds the font face and leaves the background transparent by default', () => {
+    const svg = buildSvg([[{ char: 'x', fg: WHITE, bg: null }]], {
+        fontFamily: 'Mono', fontSize: 12, charWidth: 7, fontFace: '@font-face{font-family:Mono}'
+    });
+    assert.ok(svg.includes('<style>@font-face{font-family:Mono}</style>'));
+    assert.ok(!svg.includes('<rect'));
+});
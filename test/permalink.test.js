@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SETTINGS, SETTINGS_SCHEMA_VERSION } from '../settings.js';
+import { PERMALINK_VERSION, base64UrlEncode, base64UrlDecode, encodePermalink, decodePermalink } from '../permalink.js';
+
+// A link with plain JSON settings ("j" encoding), as built by browsers without CompressionStream
+function plainLink(settings) {
+    return `#v=${PERMALINK_VERSION}&s=j` + base64UrlEncode(new TextEncoder().encode(JSON.stringify(settings)));
+}
+
+test('base64url round-trips bytes without padding or URL-unsafe characters', () => {
+    const bytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+    const encoded = base64UrlEncode(bytes);
+    assert.match(encoded, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(base64UrlDecode(encoded), bytes);
+});
+
+test('settings round-trip through a link', async () => {
+    const settings = {
+        ...DEFAULT_SETTINGS,
+        charsPerRow: 160,
+        algorithm: 'hybrid',
+        colorMode: 'pico8',
+        toneCurve: [[0, 20], [128, 100], [255, 240]]
+    };
+    const hash = await encodePermalink(settings);
+    assert.match(hash, new RegExp(`^#v=${PERMALINK_VERSION}&s=z`));
+    assert.deepEqual(await decodePermalink(hash), { settings, ignored: [], image: null });
+});
+
+test('only settings that differ from the defaults are stored', async () => {
+    const hash = await encodePermalink({ ...DEFAULT_SETTINGS, charsPerRow: 90 });
+    const deflated = base64UrlDecode(new URLSearchParams(hash.slice(1)).get('s').slice(1));
+    const stream = new Blob([deflated]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    assert.deepEqual(JSON.parse(await new Response(stream).text()), { schemaVersion: SETTINGS_SCHEMA_VERSION, charsPerRow: 90 });
+});
+
+test('an attached image decodes to a PNG data URL', async () => {
+    const png = Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0xfb, 0xff]);
+    const { image } = await decodePermalink(await encodePermalink(DEFAULT_SETTINGS, png));
+    assert.equal(image, 'data:image/png;base64,' + Buffer.from(png).toString('base64'));
+});
+
+test('plain JSON links decode and report invalid fields', async () => {
+    const { settings, ignored } = await decodePermalink(plainLink({ schemaVersion: 6, fontSize: 99, bogus: true }));
+    assert.equal(settings.fontSize, 48);
+    assert.deepEqual(ignored, ['fontSize (99 changed to 48)', 'bogus (unknown setting)']);
+});
+
+test('unversioned settings migrate from version 1', async () => {
+    const { settings } = await decodePermalink(plainLink({ histogramEq: false }));
+    assert.equal(settings.equalization, 'none');
+    assert.equal(settings.quantizer, 'median-cut');
+    assert.equal(settings.temporalSmoothing, 0);
+});
+
+test('fragments that are not links decode to null', async () => {
+    assert.equal(await decodePermalink(''), null);
+    assert.equal(await decodePermalink('#section'), null);
+    assert.equal(await decodePermalink('#v=1'), null);
+});
+
+test('newer links and unknown encodings are rejected', async () => {
+    await assert.rejects(decodePermalink(`#v=${PERMALINK_VERSION + 1}&s=jAA`), /newer version/);
+    await assert.rejects(decodePermalink(`#v=${PERMALINK_VERSION}&s=xAA`), /Unknown link encoding/);
+});
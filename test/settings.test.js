@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_SETTINGS,
+    SETTINGS_PRESETS,
+    SETTINGS_SCHEMA_VERSION,
+    migrateSettings,
+    validateSettings
+} from '../settings.js';
+
+test('unversioned saves migrate from version 1', () => {
+    const migrated = migrateSettings({ charsPerRow: 80, histogramEq: true });
+    assert.equal(migrated.schemaVersion, SETTINGS_SCHEMA_VERSION);
+    assert.equal(migrated.algorithm, 'brightness');
+    assert.equal(migrated.dither, 'none');
+    assert.equal(migrated.colorDither, 'none');
+    assert.deepEqual(migrated.toneCurve, [[0, 0], [255, 255]]);
+    assert.equal(migrated.equalization, 'global');
+    assert.equal('histogramEq' in migrated, false);
+    assert.equal(migrated.temporalSmoothing, 0);
+    assert.equal(migrated.quantizer, 'median-cut');
+    assert.equal(migrated.charsPerRow, 80);
+});
+
+test('migrations keep fields the save already has', () => {
+    const migrated = migrateSettings({ schemaVersion: 1, algorithm: 'edges', histogramEq: false, equalization: 'adaptive' });
+    assert.equal(migrated.algorithm, 'edges');
+    assert.equal(migrated.equalization, 'adaptive');
+});
+
+test('migration starts at the saved version', () => {
+    const migrated = migrateSettings({ schemaVersion: 5 });
+    assert.deepEqual(migrated, { quantizer: 'median-cut', schemaVersion: SETTINGS_SCHEMA_VERSION });
+});
+
+test('current and newer saves are left alone', () => {
+    const current = { schemaVersion: SETTINGS_SCHEMA_VERSION, quantizer: 'oklab' };
+    assert.deepEqual(migrateSettings(current), current);
+    assert.equal(migrateSettings({ schemaVersion: SETTINGS_SCHEMA_VERSION + 1 }).schemaVersion, SETTINGS_SCHEMA_VERSION + 1);
+});
+
+test('defaults and built-in presets validate cleanly', () => {
+    assert.deepEqual(validateSettings(DEFAULT_SETTINGS), { settings: DEFAULT_SETTINGS, ignored: [] });
+    for (const [id, preset] of Object.entries(SETTINGS_PRESETS)) {
+        assert.deepEqual(validateSettings(preset.settings).ignored, [], id);
+    }
+});
+
+test('validation drops unknown fields, wrong types and unknown options', () => {
+    const { settings, ignored } = validateSettings({
+        schemaVersion: 6,
+        charsPerRow: 120,
+        bogus: 1,
+        fontSize: '12',
+        opacity: NaN,
+        colorMode: 'sepia',
+        monoFg: 'red'
+    });
+    assert.deepEqual(settings, { charsPerRow: 120 });
+    assert.deepEqual(ignored, [
+        'bogus (unknown setting)',
+        'fontSize (expected a number)',
+        'opacity (expected a number)',
+        'colorMode (unknown option "sepia")',
+        'monoFg (invalid value "red")'
+    ]);
+});
+
+test('validation clamps and rounds numbers to the slider ranges', () => {
+    const { settings, ignored } = validateSettings({ charsPerRow: 1000, gamma: 0, contrast: 99.6 });
+    assert.deepEqual(settings, { charsPerRow: 300, gamma: 0.1, contrast: 100 });
+    assert.deepEqual(ignored, [
+        'charsPerRow (1000 changed to 300)',
+        'gamma (0 changed to 0.1)',
+        'contrast (99.6 changed to 100)'
+    ]);
+});
+
+test('validation normalizes tone curves and rejects unusable ones', () => {
+    const adjusted = validateSettings({ toneCurve: [[255, 300], [0, -4.2], [128, 64]] });
+    assert.deepEqual(adjusted.settings.toneCurve, [[0, 0], [128, 64], [255, 255]]);
+    assert.deepEqual(adjusted.ignored, ['toneCurve (points adjusted)']);
+
+    const rejected = validateSettings({ toneCurve: [[10, 10], [10, 20]] });
+    assert.deepEqual(rejected.settings, {});
+    assert.equal(rejected.ignored.length, 1);
+});
+
+test('validation rejects values that are not settings objects', () => {
+    for (const input of [null, 'settings', [1, 2]]) {
+        assert.deepEqual(validateSettings(input), { settings: {}, ignored: ['not a settings object'] });
+    }
+});
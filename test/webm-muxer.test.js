@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWebmMuxer } from '../webm-muxer.js';
+
+// Stand-in for a WebCodecs EncodedVideoChunk (timestamp and duration in microseconds)
+function chunk(timestamp, type, payload, duration = 0) {
+    const data = Uint8Array.from(payload);
+    return { timestamp, duration, type, byteLength: data.length, copyTo: dest => dest.set(data) };
+}
+
+// Read EBML elements as { id, data, children } (children parsed for the master elements given)
+const MASTERS = new Set([0x1A45DFA3, 0x18538067, 0x1549A966, 0x1654AE6B, 0xAE, 0xE0, 0x1F43B675]);
+function readVint(bytes, offset, keepMarker) {
+    const length = Math.clz32(bytes[offset]) - 23;
+    let value = keepMarker ? bytes[offset] : bytes[offset] & (0xff >> length);
+    for (let i = 1; i < length; i++) value = value * 256 + bytes[offset + i];
+    return { value, length };
+}
+function parse(bytes) {
+    const elements = [];
+    for (let offset = 0; offset < bytes.length;) {
+        const id = readVint(bytes, offset, true);
+        const size = readVint(bytes, offset + id.length, false);
+        const start = offset + id.length + size.length;
+        const data = bytes.subarray(start, start + size.value);
+        elements.push({ id: id.value, data, children: MASTERS.has(id.value) ? parse(data) : [] });
+        offset = start + size.value;
+    }
+    return elements;
+}
+const find = (elements, id) => elements.filter(e => e.id === id);
+const uint = element => element.data.reduce((value, byte) => value * 256 + byte, 0);
+
+test('writes an EBML header, segment info and a single video track', async () => {
+    const muxer = createWebmMuxer(640, 360, 'V_VP9');
+    muxer.addChunk(chunk(0, 'key', [1, 2, 3], 40000));
+    const blob = muxer.finalize();
+    assert.equal(blob.type, 'video/webm');
+
+    const [header, segment] = parse(new Uint8Array(await blob.arrayBuffer()));
+    assert.equal(header.id, 0x1A45DFA3);
+    assert.equal(new TextDecoder().decode(find(header.children, 0x4282)[0].data), 'webm');
+    assert.equal(segment.id, 0x18538067);
+
+    const [info] = find(segment.children, 0x1549A966);
+    assert.equal(uint(find(info.children, 0x2AD7B1)[0]), 1000000);
+    const duration = find(info.children, 0x4489)[0].data;
+    assert.equal(new DataView(duration.buffer, duration.byteOffset, 8).getFloat64(0), 40);
+
+    const [entry] = find(find(segment.children, 0x1654AE6B)[0].children, 0xAE);
+    assert.equal(new TextDecoder().decode(find(entry.children, 0x86)[0].data), 'V_VP9');
+    const [video] = find(entry.children, 0xE0);
+    assert.equal(uint(find(video.children, 0xB0)[0]), 640);
+    assert.equal(uint(find(video.children, 0xBA)[0]), 360);
+});
+
+test('stores chunks as SimpleBlocks relative to their cluster', async () => {
+    const muxer = createWebmMuxer(16, 16, 'V_VP8');
+    muxer.addChunk(chunk(0, 'key', [0xaa]));
+    muxer.addChunk(chunk(33333, 'delta', [0xbb, 0xcc]));
+    // A key frame more than 5 seconds into the cluster starts a new one
+    muxer.addChunk(chunk(6000000, 'key', [0xdd]));
+    const [, segment] = parse(new Uint8Array(await muxer.finalize().arrayBuffer()));
+
+    const clusters = find(segment.children, 0x1F43B675);
+    assert.deepEqual(clusters.map(c => uint(find(c.children, 0xE7)[0])), [0, 6000]);
+    assert.deepEqual(find(clusters[0].children, 0xA3).map(block => [...block.data]),
+        [[0x81, 0, 0, 0x80, 0xaa], [0x81, 0, 33, 0x00, 0xbb, 0xcc]]);
+    assert.deepEqual(find(clusters[1].children, 0xA3).map(block => [...block.data]), [[0x81, 0, 0, 0x80, 0xdd]]);
+});
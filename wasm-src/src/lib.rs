@@ -10,19 +10,106 @@ fn panic(_info: &PanicInfo) -> ! {
     loop {}
 }
 
-// Memory for passing data between JS and WASM
-// We'll use a shared buffer approach
-static mut BUFFER: [u8; 4 * 1024 * 1024] = [0; 4 * 1024 * 1024]; // 4MB buffer
-static mut FLOAT_BUFFER: [f32; 1024 * 1024] = [0.0; 1024 * 1024]; // 1M floats
+// Memory for passing data between JS and WASM: a byte buffer (BUFFER) and a float
+// buffer (FLOAT_BUFFER), sized by reserve_buffers() at the end of linear memory
+static mut BUFFER_PTR: *mut u8 = core::ptr::NonNull::dangling().as_ptr();
+static mut BUFFER_LEN: usize = 0;
+static mut FLOAT_BUFFER_PTR: *mut f32 = core::ptr::NonNull::dangling().as_ptr();
+static mut FLOAT_BUFFER_LEN: usize = 0;
+// Start of the buffer region: the end of linear memory when it was first reserved
+static mut REGION_START: usize = 0;
+
+const PAGE_SIZE: usize = 65536;
+
+#[cfg(target_arch = "wasm32")]
+fn memory_pages() -> usize {
+    core::arch::wasm32::memory_size::<0>()
+}
+
+#[cfg(target_arch = "wasm32")]
+fn grow_memory(pages: usize) -> bool {
+    core::arch::wasm32::memory_grow::<0>(pages) != usize::MAX
+}
+
+// Other targets (e.g. cargo check on the host) have no linear memory to grow
+#[cfg(not(target_arch = "wasm32"))]
+fn memory_pages() -> usize {
+    0
+}
+
+#[cfg(not(target_arch = "wasm32"))]
+fn grow_memory(_pages: usize) -> bool {
+    false
+}
+
+/// Make BUFFER hold at least byte_len bytes and FLOAT_BUFFER at least float_len floats,
+/// growing linear memory when needed. Growing may move both buffers and does not keep
+/// their contents, and it detaches JS views of the old memory, so callers re-read
+/// get_buffer_ptr / get_float_buffer_ptr and the lengths afterwards.
+/// Returns: false when memory can't grow that far (the old buffers stay valid)
+#[no_mangle]
+pub extern "C" fn reserve_buffers(byte_len: usize, float_len: usize) -> bool {
+    unsafe {
+        if byte_len <= BUFFER_LEN && float_len <= FLOAT_BUFFER_LEN {
+            return true;
+        }
+        // Never shrink, and round to whole pages so small size changes don't move the buffers
+        let byte_len = round_to_page(byte_len.max(BUFFER_LEN));
+        let float_len = round_to_page(float_len.max(FLOAT_BUFFER_LEN).saturating_mul(4)) / 4;
+        if REGION_START == 0 {
+            REGION_START = memory_pages() * PAGE_SIZE;
+        }
+        let end = match REGION_START.checked_add(byte_len).and_then(|n| n.checked_add(float_len * 4)) {
+            Some(end) => end,
+            None => return false,
+        };
+
+        let size = memory_pages() * PAGE_SIZE;
+        if end > size && !grow_memory((end - size + PAGE_SIZE - 1) / PAGE_SIZE) {
+            return false;
+        }
+
+        BUFFER_PTR = REGION_START as *mut u8;
+        BUFFER_LEN = byte_len;
+        FLOAT_BUFFER_PTR = (REGION_START + byte_len) as *mut f32;
+        FLOAT_BUFFER_LEN = float_len;
+        true
+    }
+}
+
+#[inline]
+fn round_to_page(len: usize) -> usize {
+    len.saturating_add(PAGE_SIZE - 1) / PAGE_SIZE * PAGE_SIZE
+}
+
+#[inline]
+unsafe fn buffer() -> &'static mut [u8] {
+    core::slice::from_raw_parts_mut(BUFFER_PTR, BUFFER_LEN)
+}
+
+#[inline]
+unsafe fn float_buffer() -> &'static mut [f32] {
+    core::slice::from_raw_parts_mut(FLOAT_BUFFER_PTR, FLOAT_BUFFER_LEN)
+}
 
 #[no_mangle]
 pub extern "C" fn get_buffer_ptr() -> *mut u8 {
-    unsafe { BUFFER.as_mut_ptr() }
+    unsafe { BUFFER_PTR }
+}
+
+#[no_mangle]
+pub extern "C" fn get_buffer_len() -> usize {
+    unsafe { BUFFER_LEN }
 }
 
 #[no_mangle]
 pub extern "C" fn get_float_buffer_ptr() -> *mut f32 {
-    unsafe { FLOAT_BUFFER.as_mut_ptr() }
+    unsafe { FLOAT_BUFFER_PTR }
+}
+
+#[no_mangle]
+pub extern "C" fn get_float_buffer_len() -> usize {
+    unsafe { FLOAT_BUFFER_LEN }
 }
 
 /// Calculate brightness for all pixels
@@ -31,31 +118,34 @@ pub extern "C" fn get_float_buffer_ptr() -> *mut f32 {
 #[no_mangle]
 pub extern "C" fn calc_brightness_batch(pixel_count: usize) {
     unsafe {
+        let buffer = buffer();
+        let float_buffer = float_buffer();
         for i in 0..pixel_count {
             let pi = i * 4;
-            let r = BUFFER[pi] as f32;
-            let g = BUFFER[pi + 1] as f32;
-            let b = BUFFER[pi + 2] as f32;
-            // ITU-R BT.601 luma coefficients
-            FLOAT_BUFFER[i] = (0.299 * r + 0.587 * g + 0.114 * b) / 255.0;
+            let r = buffer[pi] as f64;
+            let g = buffer[pi + 1] as f64;
+            let b = buffer[pi + 2] as f64;
+            // ITU-R BT.601 luma coefficients, in f64 like getBrightness in ascii-core.js
+            float_buffer[i] = ((0.299 * r + 0.587 * g + 0.114 * b) / 255.0) as f32;
         }
     }
 }
 
 /// Apply contrast adjustment to brightness values in FLOAT_BUFFER
 #[no_mangle]
-pub extern "C" fn apply_contrast(pixel_count: usize, contrast: f32) {
+pub extern "C" fn apply_contrast(pixel_count: usize, contrast: f64) {
     if contrast == 1.0 {
         return;
     }
     unsafe {
+        let float_buffer = float_buffer();
         for i in 0..pixel_count {
-            let mut b = FLOAT_BUFFER[i];
+            let mut b = float_buffer[i] as f64;
             b = (b - 0.5) * contrast + 0.5;
             // Clamp to 0-1
             if b < 0.0 { b = 0.0; }
             if b > 1.0 { b = 1.0; }
-            FLOAT_BUFFER[i] = b;
+            float_buffer[i] = b as f32;
         }
     }
 }
@@ -64,12 +154,11 @@ pub extern "C" fn apply_contrast(pixel_count: usize, contrast: f32) {
 #[no_mangle]
 pub extern "C" fn apply_histogram_eq(pixel_count: usize) {
     unsafe {
+        let float_buffer = float_buffer();
         // Build histogram (256 bins)
         let mut histogram = [0u32; 256];
         for i in 0..pixel_count {
-            let bin = (FLOAT_BUFFER[i] * 255.0) as usize;
-            let bin = if bin > 255 { 255 } else { bin };
-            histogram[bin] += 1;
+            histogram[brightness_bin(float_buffer[i])] += 1;
         }
 
         // Build CDF
@@ -88,135 +177,711 @@ pub extern "C" fn apply_histogram_eq(pixel_count: usize) {
             }
         }
 
-        let total = pixel_count as f32;
-        let cdf_min_f = cdf_min as f32;
+        let total = pixel_count as f64;
+        let cdf_min_f = cdf_min as f64;
 
         // Apply equalization
         for i in 0..pixel_count {
-            let bin = (FLOAT_BUFFER[i] * 255.0) as usize;
-            let bin = if bin > 255 { 255 } else { bin };
-            FLOAT_BUFFER[i] = (cdf[bin] as f32 - cdf_min_f) / (total - cdf_min_f);
+            let bin = brightness_bin(float_buffer[i]);
+            float_buffer[i] = ((cdf[bin] as f64 - cdf_min_f) / (total - cdf_min_f)) as f32;
         }
     }
 }
 
-/// Find nearest color in palette for each pixel
-/// Input: RGBA pixels in BUFFER, palette colors after pixels
-/// Output: Overwrites RGB in BUFFER with nearest palette colors
-/// palette_offset: where palette starts in BUFFER (after pixel data)
-/// palette_size: number of colors in palette
+/// Contrast-limited adaptive histogram equalization of brightness values in FLOAT_BUFFER
+/// Each of the tiles_x * tiles_y tiles is equalized with its histogram clipped at
+/// clip_limit times the average bin height; pixels blend the four nearest tile curves.
+/// The tile curves (tiles_x * tiles_y * 256 floats) are built in FLOAT_BUFFER at
+/// maps_offset, after the brightness values; nothing happens if they don't fit.
+/// Sums and blends are in f64 like applyClaheJS, so both produce identical values
 #[no_mangle]
-pub extern "C" fn nearest_color_batch(
-    pixel_count: usize,
-    palette_offset: usize,
-    palette_size: usize
-) {
+pub extern "C" fn apply_clahe(width: usize, height: usize, tiles_x: usize, tiles_y: usize, clip_limit: f64, maps_offset: usize) {
+    let tiles_x = tiles_x.max(1);
+    let tiles_y = tiles_y.max(1);
     unsafe {
-        for i in 0..pixel_count {
-            let pi = i * 4;
-            let r = BUFFER[pi] as i32;
-            let g = BUFFER[pi + 1] as i32;
-            let b = BUFFER[pi + 2] as i32;
+        let float_buffer = float_buffer();
+        let map_len = tiles_x.saturating_mul(tiles_y).saturating_mul(256);
+        if maps_offset < width * height || maps_offset.saturating_add(map_len) > float_buffer.len() {
+            return;
+        }
+        let (values, rest) = float_buffer.split_at_mut(maps_offset);
+        let maps = &mut rest[..map_len];
 
-            let mut min_dist = i32::MAX;
-            let mut best_r = r as u8;
-            let mut best_g = g as u8;
-            let mut best_b = b as u8;
+        for ty in 0..tiles_y {
+            let y0 = ty * height / tiles_y;
+            let y1 = (ty + 1) * height / tiles_y;
+            for tx in 0..tiles_x {
+                let x0 = tx * width / tiles_x;
+                let x1 = (tx + 1) * width / tiles_x;
+                let count = ((x1 - x0) * (y1 - y0)).max(1) as f64;
 
-            for j in 0..palette_size {
-                let pj = palette_offset + j * 3;
-                let pr = BUFFER[pj] as i32;
-                let pg = BUFFER[pj + 1] as i32;
-                let pb = BUFFER[pj + 2] as i32;
+                let mut histogram = [0f32; 256];
+                for y in y0..y1 {
+                    for x in x0..x1 {
+                        histogram[brightness_bin(values[y * width + x])] += 1.0;
+                    }
+                }
 
-                let dr = r - pr;
-                let dg = g - pg;
-                let db = b - pb;
-                let dist = dr * dr + dg * dg + db * db;
+                // Clip and spread the excess evenly over all bins
+                let mut limit = clip_limit * count / 256.0;
+                if limit < 1.0 { limit = 1.0; }
+                let mut excess = 0.0;
+                for bin in histogram.iter_mut() {
+                    if *bin as f64 > limit {
+                        excess += *bin as f64 - limit;
+                        *bin = limit as f32;
+                    }
+                }
+                let spread = excess / 256.0;
 
-                if dist < min_dist {
-                    min_dist = dist;
-                    best_r = pr as u8;
-                    best_g = pg as u8;
-                    best_b = pb as u8;
+                let map = (ty * tiles_x + tx) * 256;
+                let mut cdf = 0.0;
+                for i in 0..256 {
+                    cdf += histogram[i] as f64 + spread;
+                    let value = cdf / count;
+                    maps[map + i] = (if value > 1.0 { 1.0 } else { value }) as f32;
                 }
             }
+        }
 
-            BUFFER[pi] = best_r;
-            BUFFER[pi + 1] = best_g;
-            BUFFER[pi + 2] = best_b;
+        // Bilinear blend between the curves of the surrounding tile centers
+        for y in 0..height {
+            let (ty0, ty1, wy) = clahe_neighbours(y, height, tiles_y);
+            for x in 0..width {
+                let (tx0, tx1, wx) = clahe_neighbours(x, width, tiles_x);
+                let i = y * width + x;
+                let bin = brightness_bin(values[i]);
+                let top = maps[(ty0 * tiles_x + tx0) * 256 + bin] as f64 * (1.0 - wx)
+                    + maps[(ty0 * tiles_x + tx1) * 256 + bin] as f64 * wx;
+                let bottom = maps[(ty1 * tiles_x + tx0) * 256 + bin] as f64 * (1.0 - wx)
+                    + maps[(ty1 * tiles_x + tx1) * 256 + bin] as f64 * wx;
+                values[i] = (top * (1.0 - wy) + bottom * wy) as f32;
+            }
         }
     }
 }
 
-/// Apply saturation adjustment to pixels in BUFFER
+#[inline]
+fn brightness_bin(value: f32) -> usize {
+    let bin = (value as f64 * 255.0) as usize;
+    if bin > 255 { 255 } else { bin }
+}
+
+/// Lower and upper tile index around a pixel plus the blend weight toward the upper one
+/// (the same steps as applyClaheJS)
+#[inline]
+fn clahe_neighbours(pos: usize, size: usize, tiles: usize) -> (usize, usize, f64) {
+    let f = (pos as f64 + 0.5) * tiles as f64 / size as f64 - 0.5;
+    let t0 = if f < 0.0 { 0 } else { f as usize };
+    let t1 = if t0 + 1 < tiles { t0 + 1 } else { tiles - 1 };
+    let w = f - t0 as f64;
+    (t0, t1, if w < 0.0 { 0.0 } else if w > 1.0 { 1.0 } else { w })
+}
+
+/// Map brightness values in FLOAT_BUFFER through a 256-entry tone lookup table
+/// (levels, gamma and tone curve) stored in FLOAT_BUFFER at lut_offset,
+/// interpolating linearly between entries in f64 like applyToneLutJS
 #[no_mangle]
-pub extern "C" fn apply_saturation(pixel_count: usize, saturation: f32) {
-    if saturation == 1.0 {
-        return;
+pub extern "C" fn apply_tone_lut(pixel_count: usize, lut_offset: usize) {
+    unsafe {
+        let float_buffer = float_buffer();
+        for i in 0..pixel_count {
+            let pos = float_buffer[i] as f64 * 255.0;
+            let lo = if pos < 0.0 { 0 } else { (pos as usize).min(254) };
+            let a = float_buffer[lut_offset + lo] as f64;
+            let b = float_buffer[lut_offset + lo + 1] as f64;
+            float_buffer[i] = (a + (b - a) * (pos - lo as f64)) as f32;
+        }
     }
+}
+
+/// Per-character colors for the color modes in one pass: palette snapping, saturation,
+/// brightness blend and opacity (the same math as the JS fallback in ascii-core.js,
+/// in f64 so both produce identical output)
+/// Input: RGBA pixels in BUFFER, palette (RGB) at palette_offset with palette_size colors
+/// (0 for none), brightness in FLOAT_BUFFER when blending or brightness_opacity
+/// Output: R, G and B planes (pixel_count bytes each) in BUFFER at planes_offset,
+/// opacities in FLOAT_BUFFER at opacity_offset
+#[no_mangle]
+pub extern "C" fn compute_cell_colors(
+    pixel_count: usize,
+    palette_offset: usize,
+    palette_size: usize,
+    planes_offset: usize,
+    opacity_offset: usize,
+    saturation: f64,
+    blend: f64,
+    base_opacity: f64,
+    brightness_opacity: bool,
+    invert: bool
+) {
+    let adjusted_blend = (blend - 0.5) * 2.0;
     unsafe {
+        let buffer = buffer();
+        let float_buffer = float_buffer();
+        let (r_plane, g_plane, b_plane) = (planes_offset, planes_offset + pixel_count, planes_offset + pixel_count * 2);
+
         for i in 0..pixel_count {
             let pi = i * 4;
-            let r = BUFFER[pi] as f32;
-            let g = BUFFER[pi + 1] as f32;
-            let b = BUFFER[pi + 2] as f32;
+            let mut r = buffer[pi] as f64;
+            let mut g = buffer[pi + 1] as f64;
+            let mut b = buffer[pi + 2] as f64;
+
+            if palette_size > 0 {
+                let mut min_dist = i32::MAX;
+                let mut best = palette_offset;
+                for j in 0..palette_size {
+                    let pj = palette_offset + j * 3;
+                    let dr = r as i32 - buffer[pj] as i32;
+                    let dg = g as i32 - buffer[pj + 1] as i32;
+                    let db = b as i32 - buffer[pj + 2] as i32;
+                    let dist = dr * dr + dg * dg + db * db;
+                    if dist < min_dist {
+                        min_dist = dist;
+                        best = pj;
+                    }
+                }
+                r = buffer[best] as f64;
+                g = buffer[best + 1] as f64;
+                b = buffer[best + 2] as f64;
+            }
 
-            let gray = 0.299 * r + 0.587 * g + 0.114 * b;
+            if saturation != 1.0 {
+                let gray = 0.299 * r + 0.587 * g + 0.114 * b;
+                r = js_round(gray + saturation * (r - gray));
+                g = js_round(gray + saturation * (g - gray));
+                b = js_round(gray + saturation * (b - gray));
+            }
 
-            let new_r = gray + saturation * (r - gray);
-            let new_g = gray + saturation * (g - gray);
-            let new_b = gray + saturation * (b - gray);
+            if blend != 0.5 {
+                let darkness = 1.0 - float_buffer[i] as f64;
+                let factor = if adjusted_blend >= 0.0 {
+                    1.0 - adjusted_blend * darkness
+                } else {
+                    1.0 + (-adjusted_blend) * darkness
+                };
+                r = js_round(r * factor);
+                g = js_round(g * factor);
+                b = js_round(b * factor);
+            }
 
-            // Clamp to 0-255
-            BUFFER[pi] = clamp_u8(new_r);
-            BUFFER[pi + 1] = clamp_u8(new_g);
-            BUFFER[pi + 2] = clamp_u8(new_b);
+            buffer[r_plane + i] = clamp_u8(r);
+            buffer[g_plane + i] = clamp_u8(g);
+            buffer[b_plane + i] = clamp_u8(b);
+
+            let mut opacity = base_opacity;
+            if brightness_opacity {
+                let mut brightness = float_buffer[i] as f64;
+                if invert {
+                    brightness = 1.0 - brightness;
+                }
+                opacity *= 1.0 - brightness;
+            }
+            float_buffer[opacity_offset + i] = opacity as f32;
         }
     }
 }
 
+/// Math.round: halves round up
+#[inline]
+fn js_round(v: f64) -> f64 {
+    let floor = v as i64 as f64;
+    let floor = if floor > v { floor - 1.0 } else { floor };
+    if v - floor >= 0.5 { floor + 1.0 } else { floor }
+}
+
 #[inline]
-fn clamp_u8(v: f32) -> u8 {
+fn clamp_u8(v: f64) -> u8 {
     if v < 0.0 { 0 }
     else if v > 255.0 { 255 }
     else { v as u8 }
 }
 
-/// Generate ASCII string from brightness values
-/// Input: brightness in FLOAT_BUFFER, chars in BUFFER starting at chars_offset
-/// Output: ASCII string in BUFFER starting at output_offset
-/// Returns: length of output string
+
+/// Most glyphs generate_ascii accepts (character ramp plus edge glyphs)
+const MAX_GLYPHS: usize = 1024;
+
+// generate_ascii edge modes
+const EDGE_MODE_NONE: u32 = 0;
+const EDGE_MODE_ONLY: u32 = 1;
+const EDGE_MODE_HYBRID: u32 = 2;
+
+/// Generate text from brightness values, encoded as UTF-8
+/// Input: brightness in FLOAT_BUFFER; glyph code points (u32, little-endian) in BUFFER at
+/// glyphs_offset: ramp_len ramp characters, followed by the six edge glyphs (indexed by
+/// edge code) unless edge_mode is EDGE_MODE_NONE; edge codes in BUFFER at edges_offset
+/// Output: UTF-8 text in BUFFER starting at output_offset, a newline after each row
+/// Returns: length of output in bytes (0 when the glyph table is empty or too large)
 #[no_mangle]
 pub extern "C" fn generate_ascii(
     width: usize,
     height: usize,
-    chars_offset: usize,
-    chars_len: usize,
-    output_offset: usize,
-    invert: bool
+    glyphs_offset: usize,
+    ramp_len: usize,
+    edges_offset: usize,
+    edge_mode: u32,
+    output_offset: usize
 ) -> usize {
+    let glyph_count = if edge_mode == EDGE_MODE_NONE { ramp_len } else { ramp_len + 6 };
+    if ramp_len == 0 || glyph_count > MAX_GLYPHS {
+        return 0;
+    }
+
     unsafe {
-        let mut out_idx = output_offset;
+        let buffer = buffer();
+        let float_buffer = float_buffer();
+        // Encode every glyph once; invalid code points become U+FFFD
+        let mut glyph_bytes = [[0u8; 4]; MAX_GLYPHS];
+        let mut glyph_lens = [0u8; MAX_GLYPHS];
+        for i in 0..glyph_count {
+            let at = glyphs_offset + i * 4;
+            let code = u32::from_le_bytes([buffer[at], buffer[at + 1], buffer[at + 2], buffer[at + 3]]);
+            let ch = char::from_u32(code).unwrap_or(char::REPLACEMENT_CHARACTER);
+            glyph_lens[i] = ch.encode_utf8(&mut glyph_bytes[i]).len() as u8;
+        }
 
+        let mut out_idx = output_offset;
         for y in 0..height {
             for x in 0..width {
-                let mut brightness = FLOAT_BUFFER[y * width + x];
-                if invert {
-                    brightness = 1.0 - brightness;
-                }
+                let idx = y * width + x;
+                let edge = if edge_mode == EDGE_MODE_NONE { EDGE_NONE } else { buffer[edges_offset + idx] };
 
-                let char_idx = (brightness * chars_len as f32) as usize;
-                let char_idx = if char_idx >= chars_len { chars_len - 1 } else { char_idx };
+                let glyph = if edge_mode == EDGE_MODE_ONLY || (edge_mode == EDGE_MODE_HYBRID && edge != EDGE_NONE) {
+                    ramp_len + (edge.min(EDGE_CORNER) as usize)
+                } else {
+                    // f64 so the level matches Math.floor in the JS path exactly
+                    let level = (float_buffer[idx] as f64 * ramp_len as f64) as usize;
+                    if level >= ramp_len { ramp_len - 1 } else { level }
+                };
 
-                BUFFER[out_idx] = BUFFER[chars_offset + char_idx];
-                out_idx += 1;
+                let len = glyph_lens[glyph] as usize;
+                for b in 0..len {
+                    buffer[out_idx + b] = glyph_bytes[glyph][b];
+                }
+                out_idx += len;
             }
             // Add newline
-            BUFFER[out_idx] = b'\n';
+            buffer[out_idx] = b'\n';
             out_idx += 1;
         }
 
         out_idx - output_offset
     }
 }
+
+// Edge direction codes written by detect_edges
+const EDGE_NONE: u8 = 0;
+const EDGE_HORIZONTAL: u8 = 1;
+const EDGE_VERTICAL: u8 = 2;
+const EDGE_DIAG1: u8 = 3; // '/'
+const EDGE_DIAG2: u8 = 4; // '\'
+const EDGE_CORNER: u8 = 5;
+const EDGE_CORNER_FLAG: u8 = 0x80;
+
+// tan(22.5°) - boundary between axis-aligned and diagonal directions
+const TAN_22_5: f64 = 0.414_213_56;
+
+#[inline]
+fn brightness_at(width: usize, height: usize, x: isize, y: isize) -> f64 {
+    let cx = if x < 0 { 0 } else if x as usize >= width { width - 1 } else { x as usize };
+    let cy = if y < 0 { 0 } else if y as usize >= height { height - 1 } else { y as usize };
+    unsafe { float_buffer()[cy * width + cx] as f64 }
+}
+
+/// Detect edges in brightness values using Sobel or Scharr gradients
+/// (gradients in f64 like detectEdgesJS, so both find the same edges)
+/// Input: brightness in FLOAT_BUFFER
+/// Output: one direction code per cell in BUFFER starting at output_offset
+/// threshold: minimum normalized gradient magnitude (0-1) to count as an edge
+#[no_mangle]
+pub extern "C" fn detect_edges(
+    width: usize,
+    height: usize,
+    scharr: bool,
+    threshold: f64,
+    output_offset: usize
+) {
+    // Kernel weights: [outer, center], normalized so a full step has magnitude 1
+    let (outer, center, norm) = if scharr { (3.0, 10.0, 16.0) } else { (1.0, 2.0, 4.0) };
+    let threshold_sq = threshold * threshold * norm * norm;
+
+    unsafe {
+        let buffer = buffer();
+        for y in 0..height {
+            for x in 0..width {
+                let xi = x as isize;
+                let yi = y as isize;
+                let tl = brightness_at(width, height, xi - 1, yi - 1);
+                let tc = brightness_at(width, height, xi, yi - 1);
+                let tr = brightness_at(width, height, xi + 1, yi - 1);
+                let ml = brightness_at(width, height, xi - 1, yi);
+                let mr = brightness_at(width, height, xi + 1, yi);
+                let bl = brightness_at(width, height, xi - 1, yi + 1);
+                let bc = brightness_at(width, height, xi, yi + 1);
+                let br = brightness_at(width, height, xi + 1, yi + 1);
+
+                let gx = outer * (tr - tl) + center * (mr - ml) + outer * (br - bl);
+                let gy = outer * (bl - tl) + center * (bc - tc) + outer * (br - tr);
+
+                let code = if gx * gx + gy * gy < threshold_sq {
+                    EDGE_NONE
+                } else {
+                    let ax = if gx < 0.0 { -gx } else { gx };
+                    let ay = if gy < 0.0 { -gy } else { gy };
+                    // Edges run perpendicular to the gradient
+                    if ay <= ax * TAN_22_5 {
+                        EDGE_VERTICAL
+                    } else if ax <= ay * TAN_22_5 {
+                        EDGE_HORIZONTAL
+                    } else if (gx > 0.0) == (gy > 0.0) {
+                        EDGE_DIAG1
+                    } else {
+                        EDGE_DIAG2
+                    }
+                };
+                buffer[output_offset + y * width + x] = code;
+            }
+        }
+
+        // Mark corners where horizontal and vertical edges meet
+        for y in 0..height {
+            for x in 0..width {
+                let idx = output_offset + y * width + x;
+                if buffer[idx] == EDGE_NONE {
+                    continue;
+                }
+                let left = if x > 0 { buffer[idx - 1] & !EDGE_CORNER_FLAG } else { EDGE_NONE };
+                let right = if x + 1 < width { buffer[idx + 1] & !EDGE_CORNER_FLAG } else { EDGE_NONE };
+                let up = if y > 0 { buffer[idx - width] & !EDGE_CORNER_FLAG } else { EDGE_NONE };
+                let down = if y + 1 < height { buffer[idx + width] & !EDGE_CORNER_FLAG } else { EDGE_NONE };
+                if (left == EDGE_HORIZONTAL || right == EDGE_HORIZONTAL)
+                    && (up == EDGE_VERTICAL || down == EDGE_VERTICAL)
+                {
+                    buffer[idx] |= EDGE_CORNER_FLAG;
+                }
+            }
+        }
+
+        for i in 0..width * height {
+            let idx = output_offset + i;
+            if buffer[idx] & EDGE_CORNER_FLAG != 0 {
+                buffer[idx] = EDGE_CORNER;
+            }
+        }
+    }
+}
+
+// Dither method codes (must match DITHER_METHODS in ascii-core.js)
+const DITHER_FLOYD_STEINBERG: u32 = 1;
+const DITHER_ATKINSON: u32 = 2;
+const DITHER_JARVIS: u32 = 3;
+const DITHER_BAYER4: u32 = 4;
+const DITHER_BAYER8: u32 = 5;
+
+// Error diffusion kernels as (dx, dy, weight)
+const KERNEL_FLOYD_STEINBERG: [(isize, usize, f64); 4] = [
+    (1, 0, 7.0 / 16.0), (-1, 1, 3.0 / 16.0), (0, 1, 5.0 / 16.0), (1, 1, 1.0 / 16.0),
+];
+const KERNEL_ATKINSON: [(isize, usize, f64); 6] = [
+    (1, 0, 1.0 / 8.0), (2, 0, 1.0 / 8.0),
+    (-1, 1, 1.0 / 8.0), (0, 1, 1.0 / 8.0), (1, 1, 1.0 / 8.0),
+    (0, 2, 1.0 / 8.0),
+];
+const KERNEL_JARVIS: [(isize, usize, f64); 12] = [
+    (1, 0, 7.0 / 48.0), (2, 0, 5.0 / 48.0),
+    (-2, 1, 3.0 / 48.0), (-1, 1, 5.0 / 48.0), (0, 1, 7.0 / 48.0), (1, 1, 5.0 / 48.0), (2, 1, 3.0 / 48.0),
+    (-2, 2, 1.0 / 48.0), (-1, 2, 3.0 / 48.0), (0, 2, 5.0 / 48.0), (1, 2, 3.0 / 48.0), (2, 2, 1.0 / 48.0),
+];
+
+const BAYER8: [[u8; 8]; 8] = [
+    [0, 32, 8, 40, 2, 34, 10, 42],
+    [48, 16, 56, 24, 50, 18, 58, 26],
+    [12, 44, 4, 36, 14, 46, 6, 38],
+    [60, 28, 52, 20, 62, 30, 54, 22],
+    [3, 35, 11, 43, 1, 33, 9, 41],
+    [51, 19, 59, 27, 49, 17, 57, 25],
+    [15, 47, 7, 39, 13, 45, 5, 37],
+    [63, 31, 55, 23, 61, 29, 53, 21],
+];
+
+fn diffusion_kernel(method: u32) -> &'static [(isize, usize, f64)] {
+    match method {
+        DITHER_FLOYD_STEINBERG => &KERNEL_FLOYD_STEINBERG,
+        DITHER_ATKINSON => &KERNEL_ATKINSON,
+        DITHER_JARVIS => &KERNEL_JARVIS,
+        _ => &[],
+    }
+}
+
+/// Ordered dither threshold in -0.5..0.5, anchored to cell coordinates
+/// so the pattern does not move between frames
+#[inline]
+fn bayer_offset(method: u32, x: usize, y: usize) -> f64 {
+    if method == DITHER_BAYER4 {
+        // The 4x4 matrix is the 8x8 matrix sampled at even positions
+        (BAYER8[(y & 3) * 2][(x & 3) * 2] as f64 + 0.5) / 16.0 - 0.5
+    } else {
+        (BAYER8[y & 7][x & 7] as f64 + 0.5) / 64.0 - 0.5
+    }
+}
+
+#[inline]
+fn quantize_level(value: f64, levels: usize) -> usize {
+    let level = value * levels as f64;
+    if level < 0.0 { 0 } else if level as usize >= levels { levels - 1 } else { level as usize }
+}
+
+/// Dither brightness values in FLOAT_BUFFER to `levels` character ramp entries
+/// (in f64 with the values stored as f32, like ditherBrightnessJS, so both match)
+/// Output: each value is replaced with the center of its dithered level,
+/// so floor(value * levels) yields the character index
+#[no_mangle]
+pub extern "C" fn apply_dither(width: usize, height: usize, levels: usize, method: u32) {
+    if levels < 2 {
+        return;
+    }
+    let step = 1.0 / levels as f64;
+    unsafe {
+        let float_buffer = float_buffer();
+        for y in 0..height {
+            for x in 0..width {
+                let i = y * width + x;
+                let value = float_buffer[i] as f64;
+
+                if method == DITHER_BAYER4 || method == DITHER_BAYER8 {
+                    let level = quantize_level(value + bayer_offset(method, x, y) * step, levels);
+                    float_buffer[i] = ((level as f64 + 0.5) * step) as f32;
+                    continue;
+                }
+
+                let level = quantize_level(value, levels);
+                let quantized = (level as f64 + 0.5) * step;
+                float_buffer[i] = quantized as f32;
+
+                let err = value - quantized;
+                for &(dx, dy, weight) in diffusion_kernel(method) {
+                    let nx = x as isize + dx;
+                    let ny = y + dy;
+                    if nx < 0 || nx as usize >= width || ny >= height {
+                        continue;
+                    }
+                    let ni = ny * width + nx as usize;
+                    float_buffer[ni] = (float_buffer[ni] as f64 + err * weight) as f32;
+                }
+            }
+        }
+    }
+}
+
+/// Map pixels in BUFFER to the nearest palette color with dithering
+/// (in f64 with the diffused error stored as f32, like ditherToPaletteJS)
+/// Input: RGBA pixels in BUFFER, palette (RGB) at palette_offset
+/// Output: Overwrites RGB in BUFFER with dithered palette colors
+/// Uses FLOAT_BUFFER (3 floats per pixel) for the diffused error
+/// spread: ordered dither amplitude per channel (0-255 scale)
+#[no_mangle]
+pub extern "C" fn dither_palette(
+    width: usize,
+    height: usize,
+    palette_offset: usize,
+    palette_size: usize,
+    method: u32,
+    spread: f64
+) {
+    let ordered = method == DITHER_BAYER4 || method == DITHER_BAYER8;
+    unsafe {
+        let buffer = buffer();
+        let float_buffer = float_buffer();
+        if !ordered {
+            for i in 0..width * height * 3 {
+                float_buffer[i] = 0.0;
+            }
+        }
+
+        for y in 0..height {
+            for x in 0..width {
+                let i = y * width + x;
+                let pi = i * 4;
+                let mut r = buffer[pi] as f64;
+                let mut g = buffer[pi + 1] as f64;
+                let mut b = buffer[pi + 2] as f64;
+
+                if ordered {
+                    let offset = bayer_offset(method, x, y) * spread;
+                    r += offset;
+                    g += offset;
+                    b += offset;
+                } else {
+                    r += float_buffer[i * 3] as f64;
+                    g += float_buffer[i * 3 + 1] as f64;
+                    b += float_buffer[i * 3 + 2] as f64;
+                }
+
+                let mut min_dist = f64::INFINITY;
+                let mut best = palette_offset;
+                for j in 0..palette_size {
+                    let pj = palette_offset + j * 3;
+                    let dr = r - buffer[pj] as f64;
+                    let dg = g - buffer[pj + 1] as f64;
+                    let db = b - buffer[pj + 2] as f64;
+                    let dist = dr * dr + dg * dg + db * db;
+                    if dist < min_dist {
+                        min_dist = dist;
+                        best = pj;
+                    }
+                }
+
+                let (best_r, best_g, best_b) = (buffer[best], buffer[best + 1], buffer[best + 2]);
+                buffer[pi] = best_r;
+                buffer[pi + 1] = best_g;
+                buffer[pi + 2] = best_b;
+
+                if ordered {
+                    continue;
+                }
+
+                let err_r = r - best_r as f64;
+                let err_g = g - best_g as f64;
+                let err_b = b - best_b as f64;
+                for &(dx, dy, weight) in diffusion_kernel(method) {
+                    let nx = x as isize + dx;
+                    let ny = y + dy;
+                    if nx < 0 || nx as usize >= width || ny >= height {
+                        continue;
+                    }
+                    let ni = (ny * width + nx as usize) * 3;
+                    float_buffer[ni] = (float_buffer[ni] as f64 + err_r * weight) as f32;
+                    float_buffer[ni + 1] = (float_buffer[ni + 1] as f64 + err_g * weight) as f32;
+                    float_buffer[ni + 2] = (float_buffer[ni + 2] as f64 + err_b * weight) as f32;
+                }
+            }
+        }
+    }
+}
+
+// Perceptual palettes: k-means and palette matching in OKLab
+const MAX_PALETTE: usize = 256;
+
+/// Lloyd's k-means over weighted OKLab points, refining the centroids in place
+/// (mirrors kmeansOklabJS: sums in f64, centroids stored as f32, a centroid without
+/// points stays put, so both produce identical palettes)
+/// Input: point_count [L, a, b, weight] quads at the start of FLOAT_BUFFER,
+/// palette_size (at most 256) [L, a, b] centroids in FLOAT_BUFFER at centroid_offset
+#[no_mangle]
+pub extern "C" fn kmeans_oklab(point_count: usize, centroid_offset: usize, palette_size: usize, iterations: usize) {
+    let palette_size = palette_size.min(MAX_PALETTE);
+    let mut sums = [0f64; MAX_PALETTE * 4];
+    unsafe {
+        let float_buffer = float_buffer();
+        for _ in 0..iterations {
+            for sum in sums.iter_mut() {
+                *sum = 0.0;
+            }
+            for i in 0..point_count {
+                let p = i * 4;
+                let l = float_buffer[p] as f64;
+                let a = float_buffer[p + 1] as f64;
+                let b = float_buffer[p + 2] as f64;
+                let weight = float_buffer[p + 3] as f64;
+
+                let mut min_dist = f64::MAX;
+                let mut best = 0;
+                for j in 0..palette_size {
+                    let c = centroid_offset + j * 3;
+                    let dl = l - float_buffer[c] as f64;
+                    let da = a - float_buffer[c + 1] as f64;
+                    let db = b - float_buffer[c + 2] as f64;
+                    let dist = dl * dl + da * da + db * db;
+                    if dist < min_dist {
+                        min_dist = dist;
+                        best = j;
+                    }
+                }
+                sums[best * 4] += l * weight;
+                sums[best * 4 + 1] += a * weight;
+                sums[best * 4 + 2] += b * weight;
+                sums[best * 4 + 3] += weight;
+            }
+
+            for j in 0..palette_size {
+                let weight = sums[j * 4 + 3];
+                if weight > 0.0 {
+                    let c = centroid_offset + j * 3;
+                    float_buffer[c] = (sums[j * 4] / weight) as f32;
+                    float_buffer[c + 1] = (sums[j * 4 + 1] / weight) as f32;
+                    float_buffer[c + 2] = (sums[j * 4 + 2] / weight) as f32;
+                }
+            }
+        }
+    }
+}
+
+/// Replace each pixel with the palette color nearest in OKLab (ΔE)
+/// Input: RGBA pixels in BUFFER, palette (RGB) at palette_offset, the sRGB to linear
+/// table (256 floats) at the start of FLOAT_BUFFER and the palette in OKLab at lab_offset
+/// Output: pixels in BUFFER snapped to the palette
+#[no_mangle]
+pub extern "C" fn snap_palette_oklab(pixel_count: usize, palette_offset: usize, palette_size: usize, lab_offset: usize) {
+    unsafe {
+        let buffer = buffer();
+        let float_buffer = float_buffer();
+        let mut last_key = u32::MAX;
+        let mut best = palette_offset;
+
+        for i in 0..pixel_count {
+            let pi = i * 4;
+            let (r, g, b) = (buffer[pi], buffer[pi + 1], buffer[pi + 2]);
+            // Neighbouring cells often share a color
+            let key = (r as u32) << 16 | (g as u32) << 8 | b as u32;
+            if key != last_key {
+                last_key = key;
+                let (l, a, bb) = linear_to_oklab(
+                    float_buffer[r as usize] as f64,
+                    float_buffer[g as usize] as f64,
+                    float_buffer[b as usize] as f64
+                );
+                let mut min_dist = f64::MAX;
+                for j in 0..palette_size {
+                    let c = lab_offset + j * 3;
+                    let dl = l - float_buffer[c] as f64;
+                    let da = a - float_buffer[c + 1] as f64;
+                    let db = bb - float_buffer[c + 2] as f64;
+                    let dist = dl * dl + da * da + db * db;
+                    if dist < min_dist {
+                        min_dist = dist;
+                        best = palette_offset + j * 3;
+                    }
+                }
+            }
+            buffer[pi] = buffer[best];
+            buffer[pi + 1] = buffer[best + 1];
+            buffer[pi + 2] = buffer[best + 2];
+            buffer[pi + 3] = 255;
+        }
+    }
+}
+
+#[inline]
+fn linear_to_oklab(r: f64, g: f64, b: f64) -> (f64, f64, f64) {
+    let l = cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    let m = cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    let s = cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    (
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    )
+}
+
+/// Cube root (no libm in no_std): a bit-level first guess refined by Newton's method
+#[inline]
+fn cbrt(x: f64) -> f64 {
+    if x <= 0.0 {
+        return 0.0;
+    }
+    let mut y = f32::from_bits((x as f32).to_bits() / 3 + 0x2a51_4067) as f64;
+    for _ in 0..4 {
+        y = (2.0 * y + x / (y * y)) / 3.0;
+    }
+    y
+}
@@ -0,0 +1,80 @@
+// Minimal WebM (Matroska) muxer for the video exporter: a single video track with
+// EBML header, segment info, one track entry and clusters of SimpleBlocks with
+// millisecond timecodes, fed by WebCodecs EncodedVideoChunks
+
+export function createWebmMuxer(width, height, codecId) {
+    const clusters = [];
+    let cluster = null;
+    let lastTimecode = 0;
+
+    const idBytes = id => {
+        const bytes = [];
+        for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+        return bytes;
+    };
+    // Element sizes are always written as 8-byte vints
+    const sizeBytes = size => {
+        const bytes = [0x01];
+        for (let i = 6; i >= 0; i--) bytes.push(Math.floor(size / 2 ** (i * 8)) & 0xff);
+        return bytes;
+    };
+    const concat = parts => {
+        const total = parts.reduce((sum, p) => sum + p.length, 0);
+        const out = new Uint8Array(total);
+        let offset = 0;
+        for (const p of parts) {
+            out.set(p, offset);
+            offset += p.length;
+        }
+        return out;
+    };
+    const element = (id, ...children) => {
+        const body = concat(children);
+        return concat([new Uint8Array(idBytes(id)), new Uint8Array(sizeBytes(body.length)), body]);
+    };
+    const uint = (id, value) => {
+        const bytes = [];
+        for (let v = value; v > 0 || bytes.length === 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+        return element(id, new Uint8Array(bytes));
+    };
+    const float = (id, value) => {
+        const bytes = new Uint8Array(8);
+        new DataView(bytes.buffer).setFloat64(0, value);
+        return element(id, bytes);
+    };
+    const string = (id, value) => element(id, new TextEncoder().encode(value));
+
+    return {
+        addChunk(chunk) {
+            const timecode = Math.round(chunk.timestamp / 1000);
+            lastTimecode = Math.max(lastTimecode, timecode + Math.round((chunk.duration || 0) / 1000));
+
+            // Block timecodes are signed 16-bit offsets from the cluster timecode
+            if (!cluster || (chunk.type === 'key' && timecode - cluster.timecode > 5000) || timecode - cluster.timecode > 30000) {
+                cluster = { timecode, blocks: [] };
+                clusters.push(cluster);
+            }
+
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            const relative = timecode - cluster.timecode;
+            const header = new Uint8Array([0x81, (relative >> 8) & 0xff, relative & 0xff, chunk.type === 'key' ? 0x80 : 0x00]);
+            cluster.blocks.push(element(0xA3, header, data));
+        },
+        finalize() {
+            const header = element(0x1A45DFA3,
+                uint(0x4286, 1), uint(0x42F7, 1), uint(0x42F2, 4), uint(0x42F3, 8),
+                string(0x4282, 'webm'), uint(0x4287, 2), uint(0x4285, 2));
+            const info = element(0x1549A966,
+                uint(0x2AD7B1, 1000000), string(0x4D80, 'ASCII Art Studio'),
+                string(0x5741, 'ASCII Art Studio'), float(0x4489, lastTimecode));
+            const tracks = element(0x1654AE6B,
+                element(0xAE,
+                    uint(0xD7, 1), uint(0x73C5, 1), uint(0x83, 1), string(0x86, codecId),
+                    element(0xE0, uint(0xB0, width), uint(0xBA, height))));
+            const segment = element(0x18538067, info, tracks,
+                ...clusters.map(c => element(0x1F43B675, uint(0xE7, c.timecode), ...c.blocks)));
+            return new Blob([header, segment], { type: 'video/webm' });
+        }
+    };
+}